@@ -0,0 +1,100 @@
+/**
+ * SillyAgents — HTTP request building for API triggers.
+ *
+ * Responsibilities:
+ *   • Turn a subroutine's API settings (method, headers, bearer token, body)
+ *     into fetch() options for the poll request and the ack request.
+ *   • Fill in the ack template ({{payloadId}}, {{triggerPayload}}).
+ *
+ * Pure module — no DOM, no timers, no SillyTavern context.  The runtime
+ * (subroutines.js) sends the requests; the panel uses parseHeaders() to flag
+ * bad header lines.
+ *
+ * Export surface:
+ *   parseHeaders(text)                          → Object<string,string>   (throws on bad input)
+ *   buildRequestInit(config, method, body)      → RequestInit
+ *   fillAckTemplate(template, vars, escape?)    → string
+ *   looksLikeJson(text)                         → boolean
+ */
+
+// ─── headers ─────────────────────────────────────────────────────────────────
+
+// RFC 7230 token characters.
+const HEADER_NAME_RE = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * Parse `Name: value` lines.  Blank lines are ignored.
+ * @param {string} text
+ * @returns {Object<string, string>}
+ */
+export function parseHeaders(text) {
+    const headers = {};
+    String(text ?? '').split('\n').forEach((line, i) => {
+        if (!line.trim()) return;
+
+        const colon = line.indexOf(':');
+        const name  = colon === -1 ? '' : line.slice(0, colon).trim();
+        if (!HEADER_NAME_RE.test(name)) {
+            throw new Error(`Header line ${i + 1} should look like "Name: value".`);
+        }
+        headers[name] = line.slice(colon + 1).trim();
+    });
+    return headers;
+}
+
+// ─── requests ────────────────────────────────────────────────────────────────
+
+/**
+ * fetch() options for a request to the subroutine's API.  The configured
+ * headers and bearer token are sent with every request, poll and ack alike.
+ * @param {SubroutineConfig} config
+ * @param {string} method
+ * @param {string} [body] - dropped for GET/HEAD, which can't carry one
+ * @returns {RequestInit}
+ */
+export function buildRequestInit(config, method, body = '') {
+    const headers = parseHeaders(config.apiHeaders);
+    const has     = name => Object.keys(headers).some(k => k.toLowerCase() === name);
+
+    if (config.apiAuthToken && !has('authorization')) {
+        headers.Authorization = `Bearer ${config.apiAuthToken}`;
+    }
+
+    const init = { method: (method || 'GET').toUpperCase(), headers };
+    if (body && init.method !== 'GET' && init.method !== 'HEAD') {
+        init.body = body;
+        if (!has('content-type')) headers['Content-Type'] = looksLikeJson(body) ? 'application/json' : 'text/plain';
+    }
+    return init;
+}
+
+// ─── ack template ────────────────────────────────────────────────────────────
+
+/**
+ * Replace {{name}} placeholders with `vars[name]`.  Unknown names are left as
+ * they are.  Values are escaped for where they land: 'uri' for the ack URL,
+ * 'json' for inside a JSON string (a JSON ack body), 'none' for plain text.
+ * @param {string} template
+ * @param {Object<string, string>} vars
+ * @param {'none'|'uri'|'json'} [escape]
+ * @returns {string}
+ */
+export function fillAckTemplate(template, vars, escape = 'none') {
+    return String(template ?? '').replace(/\{\{(\w+)\}\}/g, (match, name) => {
+        if (!(name in vars)) return match;
+        const value = String(vars[name] ?? '');
+        if (escape === 'uri')  return encodeURIComponent(value);
+        if (escape === 'json') return JSON.stringify(value).slice(1, -1);
+        return value;
+    });
+}
+
+/** @returns {boolean} true if `text` parses as JSON, e.g. to pick an escape mode for a body template */
+export function looksLikeJson(text) {
+    try {
+        JSON.parse(text);
+        return true;
+    } catch {
+        return false;
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * SillyAgents — Push connections for API triggers.
+ *
+ * Polling apiUrl on an interval wastes requests and adds up to a full interval
+ * of latency.  When the automation server can push, an API trigger subscribes
+ * instead: every event that arrives fires a heartbeat straight away.
+ *
+ * Responsibilities:
+ *   • Hold one Server-Sent Events or WebSocket connection per subroutine.
+ *   • Reconnect automatically with exponential backoff (1 s doubling up to
+ *     `apiReconnectMaxSeconds`), resetting once a connection opens.
+ *   • Track and announce the connection state so the panel can show it.
+ *   • Authenticate the only way browsers allow on these connections: the
+ *     bearer token as a query parameter, when the user opts in with
+ *     apiPushTokenParam.  Settings that can't apply (headers, a token with no
+ *     parameter) are reported by pushAuthWarnings() instead of dropped quietly.
+ *
+ * The runtime (subroutines.js) owns the loop; it opens the stream when an
+ * api-triggered loop starts in sse/websocket mode and closes it when the loop
+ * stops.  What an event does is entirely up to the onEvent callback.
+ *
+ * Communication contract:
+ *   LISTENS FOR:
+ *     (none — subroutines.js calls openStream() / closeStream() directly)
+ *   EMITS:
+ *     sa:stream-state      — { chatId, state, error } — a connection changed state.
+ */
+
+import { log, logDebug, logWarn } from './utils.js';
+
+// ─── constants ───────────────────────────────────────────────────────────────
+
+const RECONNECT_BASE_MS = 1000;
+
+// ─── state ───────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {'connecting'|'open'|'reconnecting'|'closed'} StreamState
+ */
+
+/**
+ * @typedef {Object} StreamHandle
+ * @property {'sse'|'websocket'} mode
+ * @property {string}   url          - apiUrl as configured, for logs (never carries the token)
+ * @property {string}   connectUrl   - url with the token parameter added, if any
+ * @property {number}   maxBackoffMs
+ * @property {Function} onEvent      - (data: string) => void
+ * @property {EventSource|WebSocket|null} socket
+ * @property {number|null} retryId   - pending reconnect timer
+ * @property {number}   attempts     - consecutive failed connects
+ * @property {StreamState} state
+ * @property {string}   error        - last connection error, '' if none
+ */
+
+/** @type {Map<string, StreamHandle>} chatId -> open stream */
+const _streams = new Map();
+
+// ─── public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Open (or re-open) the push connection for a subroutine.
+ * @param {string} chatId
+ * @param {SubroutineConfig} config - uses apiMode, apiUrl, apiReconnectMaxSeconds, apiAuthToken,
+ *   apiPushTokenParam (and apiHeaders, only to warn that they aren't sent)
+ * @param {Function} onEvent - called with the raw event data for every message
+ */
+export function openStream(chatId, config, onEvent) {
+    closeStream(chatId);
+
+    for (const warning of pushAuthWarnings(config)) logWarn('Push trigger for', chatId, ':', warning);
+
+    /** @type {StreamHandle} */
+    const handle = {
+        mode:         config.apiMode,
+        url:          config.apiUrl,
+        connectUrl:   withTokenParam(config),
+        maxBackoffMs: Math.max(Number(config.apiReconnectMaxSeconds) || 60, 1) * 1000,
+        onEvent,
+        socket:       null,
+        retryId:      null,
+        attempts:     0,
+        state:        'closed',
+        error:        '',
+    };
+    _streams.set(chatId, handle);
+    connect(chatId, handle);
+}
+
+/**
+ * Close a subroutine's push connection and cancel any pending reconnect.
+ * Safe to call when nothing is open.
+ * @param {string} chatId
+ */
+export function closeStream(chatId) {
+    const handle = _streams.get(chatId);
+    if (!handle) return;
+
+    _streams.delete(chatId);
+    clearTimeout(handle.retryId);
+    disposeSocket(handle);
+    setState(chatId, handle, 'closed');
+}
+
+/**
+ * Request settings a push connection can't honour as configured.
+ * @param {SubroutineConfig} config
+ * @returns {string[]} human-readable, [] when everything configured is sent
+ */
+export function pushAuthWarnings(config) {
+    const warnings = [];
+    if (String(config.apiHeaders ?? '').trim()) {
+        warnings.push('Headers are not sent on SSE / WebSocket connections (browsers don\'t allow it) — only on acks.');
+    }
+    if (config.apiAuthToken && !String(config.apiPushTokenParam ?? '').trim()) {
+        warnings.push('The bearer token is not sent on the connection. Set a token query parameter if the server accepts one.');
+    }
+    return warnings;
+}
+
+/**
+ * @param {string} chatId
+ * @returns {{ state: StreamState, error: string }}
+ */
+export function getStreamState(chatId) {
+    const handle = _streams.get(chatId);
+    return handle ? { state: handle.state, error: handle.error } : { state: 'closed', error: '' };
+}
+
+// ─── connection internals ────────────────────────────────────────────────────
+
+/** apiUrl with the token added as apiPushTokenParam; a URL that won't parse is left for connect() to report. */
+function withTokenParam(config) {
+    const param = String(config.apiPushTokenParam ?? '').trim();
+    if (!param || !config.apiAuthToken) return config.apiUrl;
+    try {
+        const url = new URL(config.apiUrl);
+        url.searchParams.set(param, config.apiAuthToken);
+        return url.href;
+    } catch {
+        return config.apiUrl;
+    }
+}
+
+function connect(chatId, handle) {
+    if (_streams.get(chatId) !== handle) return;   // closed while a retry was pending
+
+    setState(chatId, handle, handle.attempts === 0 ? 'connecting' : 'reconnecting');
+
+    try {
+        handle.socket = handle.mode === 'websocket'
+            ? openWebSocket(chatId, handle)
+            : openEventSource(chatId, handle);
+    } catch (e) {
+        // Bad URL and friends throw synchronously.
+        onConnectionLost(chatId, handle, e.message);
+    }
+}
+
+function openEventSource(chatId, handle) {
+    const source = new EventSource(handle.connectUrl);
+    source.onopen    = () => onOpen(chatId, handle);
+    source.onmessage = (e) => onMessage(chatId, handle, e.data);
+    // EventSource retries on its own, but gives up for good on some errors
+    // and uses a fixed delay; handle every error with our own backoff instead.
+    source.onerror   = () => onConnectionLost(chatId, handle, 'Event stream error');
+    return source;
+}
+
+function openWebSocket(chatId, handle) {
+    const socket = new WebSocket(handle.connectUrl);
+    socket.onopen    = () => onOpen(chatId, handle);
+    socket.onmessage = (e) => onMessage(chatId, handle, typeof e.data === 'string' ? e.data : String(e.data));
+    socket.onclose   = (e) => onConnectionLost(chatId, handle, `WebSocket closed (code ${e.code})`);
+    return socket;
+}
+
+function onOpen(chatId, handle) {
+    handle.attempts = 0;
+    handle.error    = '';
+    setState(chatId, handle, 'open');
+    log('Push trigger connected for', chatId, '—', handle.mode, handle.url);
+}
+
+function onMessage(chatId, handle, data) {
+    if (_streams.get(chatId) !== handle) return;
+    logDebug('Push event for', chatId, '| data:', data);
+    handle.onEvent(data);
+}
+
+function onConnectionLost(chatId, handle, reason) {
+    if (_streams.get(chatId) !== handle || handle.retryId) return;
+
+    disposeSocket(handle);
+    handle.error = reason;
+
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** handle.attempts, handle.maxBackoffMs);
+    handle.attempts++;
+    setState(chatId, handle, 'reconnecting');
+    logWarn('Push trigger for', chatId, 'lost its connection:', reason, `— retrying in ${Math.round(delay / 1000)} s`);
+
+    handle.retryId = setTimeout(() => {
+        handle.retryId = null;
+        connect(chatId, handle);
+    }, delay);
+}
+
+/** Detach handlers before closing so the close doesn't schedule a reconnect. */
+function disposeSocket(handle) {
+    const socket = handle.socket;
+    if (!socket) return;
+
+    handle.socket = null;
+    socket.onopen = socket.onmessage = socket.onerror = socket.onclose = null;
+    socket.close();
+}
+
+function setState(chatId, handle, state) {
+    if (handle.state === state) return;
+    handle.state = state;
+
+    const { eventSource } = SillyTavern.getContext();
+    eventSource.emit('sa:stream-state', { chatId, state, error: handle.error });
+}
@@ -0,0 +1,197 @@
+/**
+ * SillyAgents — Token usage and budgets.
+ *
+ * Responsibilities:
+ *   • Read token usage off a generation result (OpenAI- and Anthropic-style
+ *     `usage` blocks).
+ *   • Accumulate it per subroutine into this-hour / today / all-time counters
+ *     (local clock hours and calendar days; a counter resets when its period
+ *     rolls over).
+ *   • Check those counters against the subroutine's hourly / daily / total
+ *     token caps.
+ *   • Estimate cost from a per-model price list (global setting, one
+ *     `model = prompt, completion` line per model, prices per 1k tokens).
+ *
+ * Pure module — no DOM, no timers, no SillyTavern context.  The runtime
+ * records usage and pauses subroutines over budget; the panel and chat list
+ * draw usage meters.
+ *
+ * Export surface:
+ *   emptyUsage()                               → Usage
+ *   readUsage(result)                          → { prompt, completion }|null
+ *   addUsage(usage, tokens, cost, now?)        → Usage   (a new object)
+ *   currentUsage(usage, now?)                  → { hour, day, total, cost }
+ *   checkBudget(config, now?)                  → string  (why it's over budget, '' if within)
+ *   budgetFill(config, now?)                   → number|null  (0..1 of the tightest cap, null if uncapped)
+ *   parseModelPrices(text)                     → ModelPrice[]   (throws on bad lines)
+ *   estimateCost(prices, model, tokens)        → number|null
+ *   formatTokens(n)                            → string
+ */
+
+// ─── types ───────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} Usage
+ * @property {string} hourKey     - ISO start of the local hour hourTokens belongs to
+ * @property {number} hourTokens
+ * @property {string} dayKey      - ISO start of the local day dayTokens belongs to
+ * @property {number} dayTokens
+ * @property {number} totalTokens
+ * @property {number} totalCost   - estimated, in the price list's currency
+ */
+
+/**
+ * @typedef {Object} ModelPrice
+ * @property {string} model       - exact model id, or a prefix ending in `*`
+ * @property {number} prompt      - per 1k prompt tokens
+ * @property {number} completion  - per 1k completion tokens
+ */
+
+// ─── usage ───────────────────────────────────────────────────────────────────
+
+/** @returns {Usage} */
+export function emptyUsage() {
+    return { hourKey: '', hourTokens: 0, dayKey: '', dayTokens: 0, totalTokens: 0, totalCost: 0 };
+}
+
+/**
+ * @param {*} result - a generateFromChatId result
+ * @returns {{ prompt: number, completion: number }|null} null if the result carries no usage
+ */
+export function readUsage(result) {
+    const usage = result?.usage ?? result?.message?.usage;
+    if (!usage || typeof usage !== 'object') return null;
+
+    const prompt     = Number(usage.prompt_tokens ?? usage.input_tokens ?? 0) || 0;
+    const completion = Number(usage.completion_tokens ?? usage.output_tokens ?? 0) || 0;
+    if (prompt === 0 && completion === 0) {
+        const total = Number(usage.total_tokens) || 0;
+        return total > 0 ? { prompt: total, completion: 0 } : null;
+    }
+    return { prompt, completion };
+}
+
+/**
+ * @param {Usage|undefined} usage
+ * @param {number} tokens
+ * @param {number} cost
+ * @param {Date} [now]
+ * @returns {Usage}
+ */
+export function addUsage(usage, tokens, cost, now = new Date()) {
+    const current = currentUsage(usage, now);
+    return {
+        hourKey:     hourKey(now),
+        hourTokens:  current.hour + tokens,
+        dayKey:      dayKey(now),
+        dayTokens:   current.day + tokens,
+        totalTokens: current.total + tokens,
+        totalCost:   current.cost + cost,
+    };
+}
+
+/**
+ * Counters as of `now` — a period that has rolled over reads as zero.
+ * @param {Usage|undefined} usage
+ * @param {Date} [now]
+ */
+export function currentUsage(usage, now = new Date()) {
+    const u = { ...emptyUsage(), ...usage };
+    return {
+        hour:  u.hourKey === hourKey(now) ? u.hourTokens : 0,
+        day:   u.dayKey  === dayKey(now)  ? u.dayTokens  : 0,
+        total: u.totalTokens,
+        cost:  u.totalCost,
+    };
+}
+
+function hourKey(now) {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours()).toISOString();
+}
+
+function dayKey(now) {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate()).toISOString();
+}
+
+// ─── caps ────────────────────────────────────────────────────────────────────
+
+/** [label, config cap field, currentUsage field] — a cap of 0 means none. */
+const CAPS = [
+    ['this hour', 'tokenBudgetHourly', 'hour'],
+    ['today',     'tokenBudgetDaily',  'day'],
+    ['in total',  'tokenBudgetTotal',  'total'],
+];
+
+/**
+ * @param {SubroutineConfig} config
+ * @param {Date} [now]
+ * @returns {string} a human-readable reason naming the cap that was hit, or ''
+ */
+export function checkBudget(config, now = new Date()) {
+    const used = currentUsage(config.usage, now);
+    for (const [label, capField, usedField] of CAPS) {
+        const cap = Number(config[capField]) || 0;
+        if (cap > 0 && used[usedField] >= cap) {
+            return `Token budget reached: ${formatTokens(used[usedField])} of ${formatTokens(cap)} tokens used ${label}.`;
+        }
+    }
+    return '';
+}
+
+/**
+ * @param {SubroutineConfig} config
+ * @param {Date} [now]
+ * @returns {number|null} how full the closest-to-full cap is (0..1), null if no cap is set
+ */
+export function budgetFill(config, now = new Date()) {
+    const used  = currentUsage(config.usage, now);
+    const fills = CAPS
+        .map(([, capField, usedField]) => [Number(config[capField]) || 0, used[usedField]])
+        .filter(([cap]) => cap > 0)
+        .map(([cap, n]) => Math.min(n / cap, 1));
+    return fills.length ? Math.max(...fills) : null;
+}
+
+// ─── cost ────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} text - one `model = prompt, completion` per line (a single
+ *   price applies to both); `#` starts a comment
+ * @returns {ModelPrice[]}
+ */
+export function parseModelPrices(text) {
+    return String(text ?? '').split('\n')
+        .map(line => line.replace(/#.*/, '').trim())
+        .filter(Boolean)
+        .map(line => {
+            const match = /^(.+?)\s*=\s*([\d.]+)\s*(?:,\s*([\d.]+))?$/.exec(line);
+            if (!match) throw new Error(`Price line "${line}" should look like gpt-4o = 0.0025, 0.01.`);
+
+            const prompt     = Number(match[2]);
+            const completion = Number(match[3] ?? match[2]);
+            if (Number.isNaN(prompt) || Number.isNaN(completion)) throw new Error(`Price line "${line}" has a bad number.`);
+            return { model: match[1], prompt, completion };
+        });
+}
+
+/**
+ * @param {ModelPrice[]} prices
+ * @param {string} model
+ * @param {{ prompt: number, completion: number }} tokens
+ * @returns {number|null} null if the model has no price
+ */
+export function estimateCost(prices, model, tokens) {
+    const price = prices.find(p => p.model === model)
+        ?? prices.find(p => p.model.endsWith('*') && model.startsWith(p.model.slice(0, -1)));
+    if (!price) return null;
+    return (tokens.prompt * price.prompt + tokens.completion * price.completion) / 1000;
+}
+
+// ─── formatting ──────────────────────────────────────────────────────────────
+
+/** @returns {string} e.g. 950, 12.3k, 4.1M */
+export function formatTokens(n) {
+    if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+    if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+    return String(Math.round(n));
+}
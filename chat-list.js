@@ -2,19 +2,27 @@
  * SillyAgents — Chat-list integration.
  *
  * Responsibilities:
- *   • Inject "Create a new Subroutine" button next to "Create a new Chat".
+ *   • Inject "Create a new Subroutine" button next to "Create a new Chat" — it
+ *     opens the creation wizard — and an "Import" button that creates one
+ *     from a template file.
  *   • Observe the past-chats panel for DOM mutations.
  *   • When chat items render, check metadata → pin subroutines to top + color them.
+ *   • Show each subroutine's token usage (today, against its tightest cap).
  *
  * Communication contract:
  *   LISTENS FOR:
  *     CHAT_CHANGED         — re-scan the list after navigation.
  *     sa:color-changed     — a subroutine's color was edited; re-scan.
+ *     sa:usage-updated     — a subroutine used tokens; refresh its usage meter.
  *   EMITS:
- *     sa:subroutine-created — after a new subroutine is made and we've switched into it.
+ *     sa:subroutine-created — { chatId, name } after a new subroutine is made and we've switched into it.
  */
 
-import { defaultSubroutineConfig, setSubroutineConfig, log, logError } from './utils.js';
+import { defaultSubroutineConfig, saveSubroutineConfig, getCurrentChatId, log, logError } from './utils.js';
+import { currentUsage, budgetFill, formatTokens } from './budget.js';
+import { importTemplateFile } from './templates.js';
+import { runCreationWizard } from './wizard.js';
+import { isLoopRunning } from './subroutines.js';
 
 // ─── state ───────────────────────────────────────────────────────────────────
 let _observer = null;   // MutationObserver instance (created once)
@@ -28,6 +36,7 @@ export async function init() {
 
     eventSource.on(event_types.CHAT_CHANGED, scanChatList);
     eventSource.on('sa:color-changed',       scanChatList);
+    eventSource.on('sa:usage-updated',       onUsageUpdated);
 
     // Observe the past-chats container once it exists.
     // It may not be in the DOM yet on first load — poll briefly.
@@ -75,63 +84,109 @@ function appendCreateButton(anchor) {
 
     btn.addEventListener('click', onCreateSubroutine);
 
+    // "Import" opens a file picker for a subroutine template (see templates.js).
+    const importBtn = document.createElement('button');
+    importBtn.id        = 'sa-import-subroutine-btn';
+    importBtn.className = 'sa-create-btn';
+    importBtn.title     = 'Import a Subroutine from a template file';
+    importBtn.innerHTML = '⇪ Import';
+
+    const fileInput = document.createElement('input');
+    fileInput.type          = 'file';
+    fileInput.accept        = '.json,application/json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', onImportTemplate);
+    importBtn.addEventListener('click', () => fileInput.click());
+
     // Insert right after the anchor element.
     anchor.parentNode.insertBefore(btn, anchor.nextSibling);
+    btn.parentNode.insertBefore(importBtn, btn.nextSibling);
+    importBtn.parentNode.insertBefore(fileInput, importBtn.nextSibling);
     log('Create Subroutine button injected.');
 }
 
+async function onImportTemplate(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    e.target.value = ''; // reset so the same file can be re-imported
+    await importTemplateFile(file);
+}
+
 // ─── create subroutine flow ──────────────────────────────────────────────────
 
 async function onCreateSubroutine() {
     try {
-        const { Popup } = SillyTavern.getContext();
-
-        // 1. Ask for a name.
-        const name = await Popup.show.input(
-            'New Subroutine',
-            'Enter a name for this subroutine:',
-            'My Subroutine'
-        );
-        if (!name) return; // user cancelled
-
-        // 2. Create a normal chat with that name.
-        //    We simulate what ST does internally: click the create button
-        //    programmatically then rename.  A more robust approach would be to
-        //    call ST's internal createNewChat() if ever exposed — for now we
-        //    dispatch a click on the real create button and then rename.
-        const createBtn = document.getElementById('create_chat_btn') ||
-                          document.querySelector('.create_chat_btn');
-        if (createBtn) createBtn.click();
-
-        // Give ST a tick to actually create and switch to the new chat.
-        await new Promise(r => setTimeout(r, 500));
-
-        // 3. Rename the chat.  ST exposes rename via the chat file name input or
-        //    we can write directly.  We'll use the chat metadata approach — the
-        //    chat name is stored in chatMetadata.custom_name.
-        const { saveMetadata } = SillyTavern.getContext();
-        SillyTavern.getContext().chatMetadata['custom_name'] = name;
-
-        // 4. Write the subroutine config.
-        const config = defaultSubroutineConfig();
-        config.running = true;   // start running immediately
-        await setSubroutineConfig(config);
-
-        // 5. Notify siblings.
-        const { eventSource } = SillyTavern.getContext();
-        await eventSource.emit('sa:subroutine-created', { name });
-
-        // 6. Re-scan so the chat list picks up the new entry.
-        scanChatList();
-
-        toastr.success(`Subroutine "${name}" created and started.`);
-        log('Subroutine created:', name);
+        // Step through the settings; the wizard refuses to start a subroutine
+        // that fails the config or environment checks.
+        const result = await runCreationWizard();
+        if (!result) return; // user cancelled
+
+        const chatId = await createSubroutine(result.name, { start: result.start, config: result.config });
+
+        if (!result.start) {
+            toastr.info(`Subroutine "${result.name}" created, stopped. Start it from the settings panel when ready.`);
+        } else if (isLoopRunning(chatId)) {
+            toastr.success(`Subroutine "${result.name}" created and started.`);
+        } else {
+            toastr.warning(`Subroutine "${result.name}" created and set to run, but its loop didn't start here — ` +
+                'it will start on the next reload.');
+        }
     } catch (e) {
         logError('Failed to create subroutine:', e);
         toastr.error('Failed to create subroutine. Check console for details.');
     }
 }
 
+/**
+ * Create a subroutine chat for the current character, switch into it and
+ * (by default) start it.  Also used by the /subroutine create command and
+ * template import.
+ * @param {string} name
+ * @param {Object}  [options]
+ * @param {boolean} [options.start]  - start the loop right away (default true)
+ * @param {Partial<SubroutineConfig>} [options.config] - settings to apply over the defaults (templates)
+ * @returns {Promise<string>} the new chat's id
+ */
+export async function createSubroutine(name, { start = true, config: overrides = {} } = {}) {
+    // 1. Create a normal chat with that name.
+    //    We simulate what ST does internally: click the create button
+    //    programmatically then rename.  A more robust approach would be to
+    //    call ST's internal createNewChat() if ever exposed — for now we
+    //    dispatch a click on the real create button and then rename.
+    const createBtn = document.getElementById('create_chat_btn') ||
+                      document.querySelector('.create_chat_btn');
+    if (!createBtn) throw new Error('No "Create a new Chat" button — open a character first.');
+    createBtn.click();
+
+    // Give ST a tick to actually create and switch to the new chat.
+    await new Promise(r => setTimeout(r, 500));
+
+    // 2. Rename the chat.  ST exposes rename via the chat file name input or
+    //    we can write directly.  We'll use the chat metadata approach — the
+    //    chat name is stored in chatMetadata.custom_name.
+    //    The chat is brand new — no heartbeat has written to its file yet —
+    //    so saving ST's in-memory copy is safe here.
+    const { saveMetadata } = SillyTavern.getContext();
+    SillyTavern.getContext().chatMetadata['custom_name'] = name;
+    await saveMetadata();
+
+    // 3. Write the subroutine config.
+    const chatId = getCurrentChatId();
+    const config = { ...defaultSubroutineConfig(), ...overrides };
+    config.running = start;
+    await saveSubroutineConfig(chatId, config);
+
+    // 4. Notify siblings — subroutines.js arms the loop if it should run.
+    const { eventSource } = SillyTavern.getContext();
+    await eventSource.emit('sa:subroutine-created', { chatId, name });
+
+    // 5. Re-scan so the chat list picks up the new entry.
+    scanChatList();
+
+    log('Subroutine created:', name);
+    return chatId;
+}
+
 // ─── MutationObserver ────────────────────────────────────────────────────────
 
 function setupObserver(container) {
@@ -180,11 +235,13 @@ async function scanChatList() {
             // Apply color.
             item.style.borderLeft = `4px solid ${config.color || '#4a90d9'}`;
             item.classList.add('sa-subroutine-item');
+            renderUsageMeter(item, config);
             subroutineItems.push(item);
         } else {
             // Make sure we haven't left stale decoration on a non-subroutine.
             item.style.borderLeft = '';
             item.classList.remove('sa-subroutine-item');
+            item.querySelector('.sa-chat-usage')?.remove();
         }
     }
 
@@ -194,6 +251,35 @@ async function scanChatList() {
     }
 }
 
+/**
+ * Today's tokens under the chat name, with a bar for the closest-to-full cap.
+ * @param {Element} item
+ * @param {SubroutineConfig} config
+ */
+function renderUsageMeter(item, config) {
+    let $meter = item.querySelector('.sa-chat-usage');
+    if (!$meter) {
+        $meter = document.createElement('div');
+        $meter.className = 'sa-chat-usage';
+        $meter.innerHTML = '<span></span><div class="sa-usage-bar"><div class="sa-usage-fill"></div></div>';
+        item.append($meter);
+    }
+
+    const full = { ...defaultSubroutineConfig(), ...config };
+    const fill = budgetFill(full);
+    $meter.querySelector('span').textContent = `${formatTokens(currentUsage(full.usage).day)} tokens today`;
+
+    const $fill = $meter.querySelector('.sa-usage-fill');
+    $fill.style.width = `${Math.round((fill ?? 0) * 100)}%`;
+    $fill.classList.toggle('sa-usage-full', fill !== null && fill >= 1);
+    $meter.querySelector('.sa-usage-bar').style.display = fill === null ? 'none' : '';
+}
+
+function onUsageUpdated({ chatId }) {
+    delete _metaCache[chatId];
+    scanChatList();
+}
+
 /**
  * Fetch a single chat's metadata from the server and extract the sillyagents
  * config block, if present.
@@ -0,0 +1,174 @@
+/**
+ * SillyAgents — Trigger conditions.
+ *
+ * Decides whether a polled result (a tool trigger's return value) should fire
+ * a heartbeat.
+ *
+ * Modes:
+ *   substring  — result contains the value (empty value: result is non-empty)
+ *   regex      — result matches the value as a regular expression
+ *                (`pattern` or `/pattern/flags`)
+ *   equals     — result equals the value; JSON values are compared as JSON
+ *   gt/gte/lt/lte — numeric comparison of result against the value
+ *   changed    — result differs from the previous poll's result
+ *
+ * Every mode can read a field out of a JSON result first (`path`, same syntax
+ * as payload.js), and can be negated.
+ *
+ * Composite triggers chain several rules with AND / OR connectors;
+ * splitOrGroups() turns such a chain into OR-of-ANDs (AND binds tighter, as
+ * in most languages), which the runtime evaluates left to right.
+ *
+ * Pure module — no DOM, no timers, no SillyTavern context.  The runtime
+ * persists the previous result for `changed`; the panel uses
+ * validateCondition() to flag bad input.
+ *
+ * Export surface:
+ *   CONDITION_MODES                              → string[]
+ *   evaluateCondition(condition, result, previous?) → boolean   (throws on bad input)
+ *   validateCondition(condition)                 → string      ('' when valid)
+ *   splitOrGroups(rules)                         → Array<Array<{ rule, index }>>
+ */
+
+import { parsePayload, getByPath } from './payload.js';
+
+// ─── types ───────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} Condition
+ * @property {'substring'|'regex'|'equals'|'gt'|'gte'|'lt'|'lte'|'changed'} mode
+ * @property {string}  value    - what to compare against (unused for 'changed')
+ * @property {string}  [path]   - field to read from a JSON result first; '' for the whole result
+ * @property {boolean} [negate] - invert the outcome
+ */
+
+export const CONDITION_MODES = ['substring', 'regex', 'equals', 'gt', 'gte', 'lt', 'lte', 'changed'];
+
+const NUMERIC = {
+    gt:  (a, b) => a >  b,
+    gte: (a, b) => a >= b,
+    lt:  (a, b) => a <  b,
+    lte: (a, b) => a <= b,
+};
+
+// ─── evaluation ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {Condition} condition
+ * @param {string} result            - the current poll result
+ * @param {string|null} [previous]   - the previous poll result, for 'changed'
+ * @returns {boolean}
+ * @throws on an unknown mode, a bad regex or path, or a non-numeric comparison value
+ */
+export function evaluateCondition(condition, result, previous = null) {
+    const matched = matches(condition, result, previous);
+    return condition.negate ? !matched : matched;
+}
+
+function matches(condition, result, previous) {
+    const value   = condition.value ?? '';
+    const subject = select(condition, result);
+
+    switch (condition.mode ?? 'substring') {
+        case 'substring':
+            return value === '' ? asText(subject).trim() !== '' : asText(subject).includes(value);
+
+        case 'regex':
+            return compileRegex(value).test(asText(subject));
+
+        case 'equals':
+            return isEqual(subject, value);
+
+        case 'gt': case 'gte': case 'lt': case 'lte': {
+            const target = toNumber(value);
+            if (Number.isNaN(target)) throw new Error(`"${value}" is not a number.`);
+            const actual = toNumber(subject);
+            // A missing or non-numeric field never satisfies a comparison.
+            return !Number.isNaN(actual) && NUMERIC[condition.mode](actual, target);
+        }
+
+        case 'changed':
+            // The first poll has nothing to compare with — it sets the baseline.
+            if (previous === null || previous === undefined) return false;
+            return asText(subject) !== asText(select(condition, previous));
+
+        default:
+            throw new Error(`Unknown condition mode "${condition.mode}".`);
+    }
+}
+
+/** The part of the result the condition looks at: a JSON field, or the whole result. */
+function select(condition, result) {
+    if (!condition.path) return result;
+    return getByPath(parsePayload(result), condition.path);
+}
+
+// ─── validation ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {Condition} condition
+ * @returns {string} a human-readable problem, or '' if the condition is usable
+ */
+export function validateCondition(condition) {
+    try {
+        // Any result will do; this only surfaces errors in the condition itself.
+        evaluateCondition(condition, '{}', '{}');
+        return '';
+    } catch (e) {
+        return e.message;
+    }
+}
+
+// ─── rule chains ─────────────────────────────────────────────────────────────
+
+/**
+ * Split a chain of rules at its OR connectors.  The chain holds if every rule
+ * in at least one group holds.  The first rule's connector is ignored.
+ * @template T
+ * @param {Array<T & { connector?: 'and'|'or' }>} rules
+ * @returns {Array<Array<{ rule: T, index: number }>>}
+ */
+export function splitOrGroups(rules) {
+    const groups = [];
+    rules.forEach((rule, index) => {
+        if (index === 0 || rule.connector === 'or') groups.push([]);
+        groups.at(-1).push({ rule, index });
+    });
+    return groups;
+}
+
+// ─── helpers ─────────────────────────────────────────────────────────────────
+
+function asText(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || value.trim() === '') return NaN;
+    return Number(value.trim());
+}
+
+/** Compare as JSON when the expected value is JSON, as text otherwise. */
+function isEqual(subject, expected) {
+    if (subject === undefined) return false;
+
+    let parsed;
+    try {
+        parsed = JSON.parse(expected);
+    } catch {
+        return asText(subject).trim() === expected.trim();
+    }
+    const actual = typeof subject === 'string' ? parsePayload(subject.trim()) : subject;
+    return JSON.stringify(actual) === JSON.stringify(parsed);
+}
+
+function compileRegex(value) {
+    const literal = /^\/(.*)\/([a-z]*)$/s.exec(value);
+    try {
+        return literal ? new RegExp(literal[1], literal[2]) : new RegExp(value);
+    } catch (e) {
+        throw new Error(`Bad regex: ${e.message}`);
+    }
+}
@@ -0,0 +1,277 @@
+/**
+ * SillyAgents — Cron schedule evaluation.
+ *
+ * Responsibilities:
+ *   • Parse standard 5-field cron expressions (minute hour day-of-month month
+ *     day-of-week), including lists, ranges, steps, month/day names and the
+ *     usual @daily / @weekly / … shorthands.
+ *   • Compute upcoming run times in an arbitrary IANA timezone.
+ *
+ * Pure module — no DOM, no timers, no SillyTavern context.  The runtime
+ * (subroutines.js) does the scheduling; the panel uses it for previews.
+ *
+ * Export surface:
+ *   parseCron(expr)                         → CronSchedule   (throws on bad input)
+ *   nextCronRun(expr, timezone, from?)      → Date|null
+ *   nextCronRuns(expr, timezone, count, from?) → Date[]
+ *   isValidTimezone(timezone)               → boolean
+ *   getZonedParts(date, timezone)           → ZonedParts
+ */
+
+// ─── field tables ────────────────────────────────────────────────────────────
+
+const FIELDS = [
+    { name: 'minute',       min: 0, max: 59 },
+    { name: 'hour',         min: 0, max: 23 },
+    { name: 'day-of-month', min: 1, max: 31 },
+    { name: 'month',        min: 1, max: 12,
+      names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day-of-week',  min: 0, max: 7,       // 0 and 7 are both Sunday
+      names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const SHORTHANDS = {
+    '@yearly':   '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly':  '0 0 1 * *',
+    '@weekly':   '0 0 * * 0',
+    '@daily':    '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly':   '0 * * * *',
+};
+
+// Upper bound on search steps.  Each step jumps at least to the next minute,
+// and usually to the next hour or day, so this covers several years of
+// calendar — enough for "Feb 29" style schedules.
+const MAX_SEARCH_STEPS = 100000;
+
+// ─── types ───────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} CronSchedule
+ * @property {Set<number>} minutes
+ * @property {Set<number>} hours
+ * @property {Set<number>} days        - day of month, 1–31
+ * @property {Set<number>} months      - 1–12
+ * @property {Set<number>} weekdays    - 0–6, Sunday = 0
+ * @property {boolean}     daysRestricted     - day-of-month field was not "*"
+ * @property {boolean}     weekdaysRestricted - day-of-week field was not "*"
+ */
+
+/**
+ * @typedef {Object} ZonedParts
+ * @property {number} year
+ * @property {number} month    - 1–12
+ * @property {number} day      - 1–31
+ * @property {number} hour     - 0–23
+ * @property {number} minute   - 0–59
+ * @property {number} weekday  - 0–6, Sunday = 0
+ */
+
+// ─── cron parsing ────────────────────────────────────────────────────────────
+
+/**
+ * Parse a cron expression.  Throws an Error with a human-readable message if
+ * the expression is malformed — the panel shows that message verbatim.
+ * @param {string} expr
+ * @returns {CronSchedule}
+ */
+export function parseCron(expr) {
+    const raw = String(expr ?? '').trim().toLowerCase();
+    if (!raw) throw new Error('Cron expression is empty.');
+
+    const expanded = SHORTHANDS[raw] ?? raw;
+    const parts    = expanded.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression must have 5 fields (minute hour day month weekday), got ${parts.length}.`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+    // Fold 7 (Sunday) onto 0.
+    if (weekdays.has(7)) { weekdays.delete(7); weekdays.add(0); }
+
+    return {
+        minutes, hours, days, months, weekdays,
+        daysRestricted:     parts[2] !== '*',
+        weekdaysRestricted: parts[4] !== '*',
+    };
+}
+
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const item of text.split(',')) {
+        if (!item) throw new Error(`Empty list entry in ${field.name} field.`);
+
+        const [rangePart, stepPart, ...extraSteps] = item.split('/');
+        if (extraSteps.length) throw new Error(`"${item}" in ${field.name} field has more than one step.`);
+        const step = stepPart === undefined ? 1 : Number(stepPart);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${stepPart}" in ${field.name} field.`);
+        }
+
+        let start, end;
+        if (rangePart === '*') {
+            start = field.min;
+            end   = field.max;
+        } else if (rangePart.includes('-')) {
+            const [a, b, ...extra] = rangePart.split('-');
+            if (extra.length) throw new Error(`Range "${rangePart}" in ${field.name} field needs exactly two endpoints.`);
+            start = parseValue(a, field);
+            end   = parseValue(b, field);
+            if (start > end) throw new Error(`Range "${rangePart}" in ${field.name} field runs backwards.`);
+        } else {
+            start = parseValue(rangePart, field);
+            // "5/15" means "from 5, every 15" — run to the end of the field.
+            end   = stepPart === undefined ? start : field.max;
+        }
+
+        for (let v = start; v <= end; v += step) values.add(v);
+    }
+
+    return values;
+}
+
+function parseValue(text, field) {
+    const nameIndex = field.names?.indexOf(text) ?? -1;
+    if (nameIndex !== -1) return nameIndex + (field.name === 'month' ? 1 : 0);
+
+    const value = Number(text);
+    if (text === '' || !Number.isInteger(value) || value < field.min || value > field.max) {
+        throw new Error(`Invalid value "${text}" in ${field.name} field (allowed ${field.min}–${field.max}).`);
+    }
+    return value;
+}
+
+// ─── next-run search ─────────────────────────────────────────────────────────
+
+/**
+ * Next time the schedule fires strictly after `from`, or null if it never
+ * does within the search horizon (e.g. "0 0 31 2 *").
+ * @param {string} expr
+ * @param {string} [timezone] - IANA zone; empty means the browser's zone
+ * @param {Date}   [from]
+ * @returns {Date|null}
+ */
+export function nextCronRun(expr, timezone, from = new Date()) {
+    return searchNext(parseCron(expr), timezone || undefined, from);
+}
+
+/**
+ * The next `count` run times after `from`.  Used for the panel preview.
+ * @param {string} expr
+ * @param {string} [timezone]
+ * @param {number} count
+ * @param {Date}   [from]
+ * @returns {Date[]}
+ */
+export function nextCronRuns(expr, timezone, count, from = new Date()) {
+    const schedule = parseCron(expr);
+    const runs     = [];
+    let cursor     = from;
+
+    while (runs.length < count) {
+        const next = searchNext(schedule, timezone || undefined, cursor);
+        if (!next) break;
+        runs.push(next);
+        cursor = next;
+    }
+    return runs;
+}
+
+/**
+ * Walk forward from `from` in UTC, comparing wall-clock fields in the target
+ * zone.  Mismatches on coarse fields skip ahead to the next day / hour so the
+ * search stays cheap; because we always step in real time, DST gaps and
+ * repeats resolve themselves.
+ */
+function searchNext(schedule, timezone, from) {
+    // Start at the next whole minute.
+    let t = Math.floor(from.getTime() / 60000) * 60000 + 60000;
+
+    for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+        const p = getZonedParts(new Date(t), timezone);
+
+        if (!schedule.months.has(p.month) || !matchesDay(schedule, p)) {
+            t += ((23 - p.hour) * 60 + (60 - p.minute)) * 60000;   // to next midnight
+            continue;
+        }
+        if (!schedule.hours.has(p.hour)) {
+            t += (60 - p.minute) * 60000;                           // to next hour
+            continue;
+        }
+        if (!schedule.minutes.has(p.minute)) {
+            t += 60000;
+            continue;
+        }
+        return new Date(t);
+    }
+    return null;
+}
+
+/** Standard cron rule: if both day fields are restricted, either may match. */
+function matchesDay(schedule, p) {
+    const dayOk     = schedule.days.has(p.day);
+    const weekdayOk = schedule.weekdays.has(p.weekday);
+
+    if (schedule.daysRestricted && schedule.weekdaysRestricted) return dayOk || weekdayOk;
+    if (schedule.daysRestricted)     return dayOk;
+    if (schedule.weekdaysRestricted) return weekdayOk;
+    return true;
+}
+
+// ─── timezone helpers ────────────────────────────────────────────────────────
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Intl.DateTimeFormat construction is comparatively slow; cache per zone.
+const _formatters = new Map();
+
+function getFormatter(timezone) {
+    const key = timezone ?? '';
+    if (!_formatters.has(key)) {
+        _formatters.set(key, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', weekday: 'short',
+        }));
+    }
+    return _formatters.get(key);
+}
+
+/**
+ * Wall-clock fields of `date` as seen in `timezone`.
+ * @param {Date}   date
+ * @param {string} [timezone] - IANA zone; undefined means the browser's zone
+ * @returns {ZonedParts}
+ */
+export function getZonedParts(date, timezone) {
+    const out = {};
+    for (const { type, value } of getFormatter(timezone || undefined).formatToParts(date)) {
+        out[type] = value;
+    }
+    return {
+        year:    Number(out.year),
+        month:   Number(out.month),
+        day:     Number(out.day),
+        hour:    Number(out.hour) % 24,
+        minute:  Number(out.minute),
+        weekday: WEEKDAY_INDEX[out.weekday],
+    };
+}
+
+/**
+ * @param {string} timezone
+ * @returns {boolean} true for empty (browser zone) or a zone Intl recognises
+ */
+export function isValidTimezone(timezone) {
+    if (!timezone) return true;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
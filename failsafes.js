@@ -0,0 +1,197 @@
+/**
+ * SillyAgents — Configuration failsafes.
+ *
+ * Responsibilities:
+ *   • Check a subroutine config for settings it can't run with: empty or
+ *     malformed trigger fields, an empty heartbeat, auto-queue without a
+ *     prompt, out-of-range numbers, unknown choices, misshapen lists and
+ *     unreadable active hours.
+ *   • Check the environment a subroutine would run in: the selected API must
+ *     be Chat Completion and the model must accept tools (the spec's "no raw
+ *     token completion, no single-shot instruct").
+ *
+ * validateSubroutineConfig() is pure; checkEnvironment() reads ST's live
+ * connection settings.  The creation wizard refuses to start a subroutine
+ * while either reports a problem; /subroutine set refuses values that add one.
+ *
+ * Export surface:
+ *   MIN_INTERVAL_SECONDS               → number            (shortest interval / time rule)
+ *   validateSubroutineConfig(config)   → ConfigProblem[]   ([] when runnable)
+ *   checkEnvironment()                 → string[]          ([] when usable)
+ */
+
+import { parseCron, isValidTimezone } from './cron.js';
+import { parseToolArgs } from './tool-args.js';
+import { validateCondition, CONDITION_MODES } from './conditions.js';
+import { validateWindows } from './windows.js';
+
+// ─── types ───────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} ConfigProblem
+ * @property {string} key     - the SubroutineConfig field at fault
+ * @property {string} message - human-readable, shown as-is
+ */
+
+// Matches the panel's input minimums; the runtime clamps to the same floor.
+export const MIN_INTERVAL_SECONDS = 5;
+const MIN_VALUES = {
+    apiReconnectMaxSeconds:    1,
+    heartbeatTimeoutSeconds:   10,
+    maxConsecutiveFailures:    1,
+    backoffMaxSeconds:         5,
+    autoQueueMaxContinuations: 1,
+    autoQueueDelaySeconds:     0,
+    autoQueueStallThreshold:   2,
+    catchUpMaxRuns:            1,
+    tokenBudgetHourly:         0,
+    tokenBudgetDaily:          0,
+    tokenBudgetTotal:          0,
+};
+
+// Matches the panel's select options.
+const CHOICES = {
+    upstreamEvent:       ['finish', 'message', 'any'],
+    toolConditionMode:   CONDITION_MODES,
+    apiMode:             ['poll', 'sse', 'websocket'],
+    runIn:               ['any', 'ghost', 'tab'],
+    catchUpPolicy:       ['skip', 'once', 'replay'],
+    outsideWindowPolicy: ['skip', 'defer'],
+    toolFilterMode:      ['all', 'allow', 'deny'],
+};
+
+const COMPOSITE_RULE_TYPES = ['time', 'tool', 'api'];
+
+// ─── config ──────────────────────────────────────────────────────────────────
+
+/**
+ * @param {SubroutineConfig} config
+ * @returns {ConfigProblem[]}
+ */
+export function validateSubroutineConfig(config) {
+    const problems = [];
+    const problem  = (key, message) => problems.push({ key, message });
+
+    // Push-mode API triggers are woken by the server; the interval is unused.
+    const polls = ['time', 'tool'].includes(config.triggerType)
+        || (config.triggerType === 'api' && config.apiMode === 'poll');
+    if (polls && !(Number(config.intervalSeconds) >= MIN_INTERVAL_SECONDS)) {
+        problem('intervalSeconds', `The interval must be at least ${MIN_INTERVAL_SECONDS} seconds.`);
+    }
+
+    switch (config.triggerType) {
+        case 'time':
+            break;
+
+        case 'cron':
+            if (!String(config.cronExpression ?? '').trim()) {
+                problem('cronExpression', 'Enter a cron expression.');
+            } else {
+                try {
+                    parseCron(config.cronExpression);
+                } catch (e) {
+                    problem('cronExpression', e.message);
+                }
+            }
+            if (!isValidTimezone(config.cronTimezone)) problem('cronTimezone', `Unknown timezone "${config.cronTimezone}".`);
+            break;
+
+        case 'tool': {
+            if (!String(config.toolName ?? '').trim()) problem('toolName', 'Enter the tool to poll.');
+            try {
+                parseToolArgs(config.toolArgs);
+            } catch (e) {
+                problem('toolArgs', e.message);
+            }
+            const conditionProblem = validateCondition({
+                mode:  config.toolConditionMode,
+                value: config.toolCondition,
+                path:  String(config.toolConditionPath ?? '').trim(),
+            });
+            if (conditionProblem) problem('toolCondition', conditionProblem);
+            break;
+        }
+
+        case 'api':
+            if (!String(config.apiUrl ?? '').trim()) problem('apiUrl', 'Enter the URL to poll or connect to.');
+            break;
+
+        case 'composite':
+            if (!config.compositeRules?.length) problem('compositeRules', 'Add at least one composite rule.');
+            (Array.isArray(config.compositeRules) ? config.compositeRules : []).forEach((rule, i) => {
+                if (rule.type === 'time' && !(Number(rule.everySeconds) >= MIN_INTERVAL_SECONDS)) {
+                    problem('compositeRules', `Rule ${i + 1}: the interval must be at least ${MIN_INTERVAL_SECONDS} seconds.`);
+                }
+                if (rule.type === 'tool' && !String(rule.toolName ?? '').trim()) {
+                    problem('compositeRules', `Rule ${i + 1}: enter the tool to poll.`);
+                }
+                if (rule.type === 'api' && !String(rule.apiUrl ?? '').trim()) {
+                    problem('compositeRules', `Rule ${i + 1}: enter the URL to poll.`);
+                }
+            });
+            break;
+
+        case 'subroutine':
+            if (!config.upstreamChatId) problem('upstreamChatId', 'Pick the subroutine this one follows.');
+            break;
+
+        default:
+            problem('triggerType', `Unknown trigger type "${config.triggerType}".`);
+    }
+
+    if (!String(config.heartbeatMessage ?? '').trim()) {
+        problem('heartbeatMessage', 'The heartbeat message is empty — the model would be woken with nothing to read.');
+    }
+    if (!(Number(config.maxToolRounds) >= 1)) problem('maxToolRounds', 'Allow at least one tool round.');
+    if (config.autoQueue && !String(config.autoQueuePrompt ?? '').trim()) {
+        problem('autoQueuePrompt', 'Auto-queue is on but its prompt is empty.');
+    }
+
+    for (const [key, min] of Object.entries(MIN_VALUES)) {
+        if (!(Number(config[key]) >= min)) problem(key, `${key} must be a number of at least ${min}.`);
+    }
+    if (!Number.isFinite(Number(config.priority))) problem('priority', 'priority must be a number.');
+    for (const [key, choices] of Object.entries(CHOICES)) {
+        if (!choices.includes(config[key])) problem(key, `${key} must be one of ${choices.join(', ')}, not "${config[key]}".`);
+    }
+
+    if (!Array.isArray(config.compositeRules) || !config.compositeRules.every(isCompositeRule)) {
+        problem('compositeRules', `compositeRules must be a list of rules, each of type ${COMPOSITE_RULE_TYPES.join(', ')}.`);
+    }
+    if (!isStringList(config.toolFilterList)) problem('toolFilterList', 'toolFilterList must be a list of tool names.');
+    if (!isStringList(config.activeHours) || config.activeHours.length > 7) {
+        problem('activeHours', 'activeHours must be a list of up to seven day ranges, Sunday first.');
+    } else if (config.windowsEnabled) {
+        for (const message of validateWindows(config)) problem('activeHours', message);
+    }
+    return problems;
+}
+
+function isCompositeRule(rule) {
+    return rule !== null && typeof rule === 'object' && COMPOSITE_RULE_TYPES.includes(rule.type);
+}
+
+function isStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+// ─── environment ─────────────────────────────────────────────────────────────
+
+/**
+ * @returns {string[]} why subroutines can't run with the current connection
+ */
+export function checkEnvironment() {
+    const { mainApi, ToolManager } = SillyTavern.getContext();
+    const problems = [];
+
+    if (mainApi && mainApi !== 'openai') {
+        problems.push(`Subroutines need a Chat Completion API, but "${mainApi}" (text completion) is selected. ` +
+            'Switch API in the connection panel.');
+        return problems;
+    }
+    if (typeof ToolManager?.isToolCallingSupported === 'function' && !ToolManager.isToolCallingSupported()) {
+        problems.push('The selected model or Chat Completion source does not support tool calling, ' +
+            'or function calling is turned off in the preset.');
+    }
+    return problems;
+}
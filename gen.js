@@ -14,10 +14,13 @@
  * @param {boolean} [flexOptions.disableExtensions] - Skip extension prompts (default: false)
  * @param {boolean} [flexOptions.disableExamples] - Skip example messages (default: false)
  * @param {string[]} [flexOptions.disableSystemPrompts] - Array of system prompt keys to skip (e.g., ['nsfw', 'jailbreak']) (default: [])
+ * @param {ToolFilter} [flexOptions.toolFilter] - Which registered tools to offer (default: all of them)
+ * @param {object[]} [flexOptions.pendingMessages] - Chat messages treated as if appended to the chat, without saving them (default: [])
+ * @param {object} [flexOptions.trace] - If given, receives the assembled request: `messages` and `tools`
  * @param {string} [connectionProfile] - Preset/API name to use for generation (overrides default)
  * @returns {Promise<object>} Raw generation result (with possible tool_calls)
  */
-async function generateFromChatId(chatId, options = {}, flexOptions = {}, connectionProfile = null) {
+export async function generateFromChatId(chatId, options = {}, flexOptions = {}, connectionProfile = null) {
     const context = SillyTavern.getContext();
 
     // Resolve defaults for flexOptions
@@ -26,6 +29,9 @@ async function generateFromChatId(chatId, options = {}, flexOptions = {}, connec
         disableExtensions = false,
         disableExamples = false,
         disableSystemPrompts = [],
+        toolFilter = null,
+        pendingMessages = [],
+        trace = null,
     } = flexOptions;
 
     // ────────────────────────────────────────────────
@@ -40,7 +46,7 @@ async function generateFromChatId(chatId, options = {}, flexOptions = {}, connec
         throw new Error(`Failed to load chat ${chatId}: ${err.message}`);
     }
 
-    const messages = chatData.chat || [];
+    const messages = [...(chatData.chat || []), ...pendingMessages];
     const characterId = chatData.chid;
 
     const character = context.characters.find(c => c.chat === chatId || c._id === characterId);
@@ -129,8 +135,7 @@ async function generateFromChatId(chatId, options = {}, flexOptions = {}, connec
     // ────────────────────────────────────────────────
     // 3. Prepare tools (so model can see them)
     // ────────────────────────────────────────────────
-    const toolManager = ToolManager.instance;
-    const activeTools = toolManager.tools.filter(t => !t.shouldRegister || t.shouldRegister());
+    const activeTools = selectTools(toolFilter);
 
     const generationOptions = {
         prompt: messageCollection.getChat(),   // final array of {role, content} messages
@@ -152,6 +157,11 @@ async function generateFromChatId(chatId, options = {}, flexOptions = {}, connec
         generationOptions.tool_choice = oai_settings.tool_choice || 'auto';
     }
 
+    if (trace) {
+        trace.messages = generationOptions.prompt;
+        trace.tools    = generationOptions.tools ?? [];
+    }
+
     // ────────────────────────────────────────────────
     // 4. Handle connection profile (temporary switch if specified or default from chat/character)
     // ────────────────────────────────────────────────
@@ -184,3 +194,43 @@ async function generateFromChatId(chatId, options = {}, flexOptions = {}, connec
         if (originalApiType !== null) api_type = originalApiType;
     }
 }
+
+/**
+ * @typedef {Object} ToolFilter
+ * @property {'all'|'allow'|'deny'} mode - offer every tool, only the listed ones, or all but the listed ones
+ * @property {string[]} names            - tool names the mode applies to
+ * @property {string[]} [always]         - offered whatever the mode or their own shouldRegister says
+ * @property {string[]} [never]          - withheld whatever the mode or their own shouldRegister says
+ */
+
+/**
+ * The registered tools a generation offers the model: those that currently
+ * want to register, narrowed by the filter.  The filter's always/never lists
+ * override both, since shouldRegister only knows about the open chat.
+ * @param {ToolFilter|null} [toolFilter]
+ * @returns {object[]} ToolManager tool definitions
+ */
+export function selectTools(toolFilter = null) {
+    const always = new Set(toolFilter?.always ?? []);
+    const never  = new Set(toolFilter?.never ?? []);
+    const activeTools = ToolManager.instance.tools.filter(t => {
+        const name = getToolName(t);
+        if (never.has(name)) return false;
+        return always.has(name) || !t.shouldRegister || t.shouldRegister();
+    });
+    if (!toolFilter || toolFilter.mode === 'all') return activeTools;
+
+    const names = new Set(toolFilter.names);
+    return activeTools.filter(t => {
+        const name = getToolName(t);
+        return always.has(name) || names.has(name) === (toolFilter.mode === 'allow');
+    });
+}
+
+/**
+ * @param {object} tool - a ToolManager tool definition
+ * @returns {string}
+ */
+export function getToolName(tool) {
+    return tool.name ?? tool.toFunctionOpenAI?.().function?.name ?? '';
+}
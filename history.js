@@ -0,0 +1,193 @@
+/**
+ * SillyAgents — Per-subroutine run history.
+ *
+ * Responsibilities:
+ *   • Build one structured record per tick (trigger, poll result, tool calls,
+ *     generation time, errors) that the runtime fills in as the tick runs.
+ *   • Persist the most recent records per chat as a JSONL file in the user's
+ *     SillyTavern files, capped at HISTORY_LIMIT entries.  Server-side, so
+ *     runs made by the ghost browser or another tab show up in every
+ *     context's timeline; history kept in localforage by earlier versions is
+ *     moved there on first read.
+ *   • Serialise history as JSONL for audit exports.
+ *
+ * Communication contract:
+ *   LISTENS FOR:
+ *     (none)
+ *   EMITS:
+ *     sa:history-updated   — { chatId } — after a record is appended or history is cleared.
+ */
+
+import { logWarn } from './utils.js';
+
+// ─── storage ─────────────────────────────────────────────────────────────────
+
+const HISTORY_FILE_PREFIX   = 'sillyagents-history-';   // + escaped chatId + .jsonl
+const LEGACY_KEY_PREFIX     = 'sillyagents_history:';   // + chatId, localforage (older versions)
+export const HISTORY_LIMIT  = 200;                        // records kept per subroutine
+
+// Tool results can be huge (web pages, mailboxes); keep records readable.
+const MAX_RESULT_CHARS = 2000;
+
+// chatId -> promise of the last write, so one context's writes don't interleave.
+const _writes = new Map();
+
+// ─── types ───────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} ToolCallRecord
+ * @property {string} name
+ * @property {Object} arguments
+ * @property {string} result     - truncated to MAX_RESULT_CHARS
+ * @property {number} round      - tool round within the heartbeat (1-based)
+ */
+
+/**
+ * @typedef {Object} RunRecord
+ * @property {string}  chatId
+ * @property {string}  tickAt        - ISO timestamp the tick started
+ * @property {string}  triggerType
+ * @property {string}  reason        - why the tick ran: 'schedule', 'catch-up', 'push', 'upstream',
+ *                                     'approval' or 'manual' ('dry-run' records are never stored)
+ * @property {boolean} fired         - did the trigger fire a heartbeat
+ * @property {string|null} poll      - what the trigger saw (tool result, API body), if it polled
+ * @property {ToolCallRecord[]} toolCalls
+ * @property {number}  generationMs  - total time spent waiting on the model
+ * @property {number}  generations   - number of generateFromChatId calls
+ * @property {number}  tokens        - tokens those calls used (reported, or estimated when not)
+ * @property {string[]} errors
+ * @property {number}  durationMs    - wall-clock time of the whole tick
+ */
+
+// ─── record building ─────────────────────────────────────────────────────────
+
+/**
+ * Start a record for a tick.  The runtime mutates it as the tick progresses
+ * and hands it to appendRunRecord() at the end.
+ * @param {string} chatId
+ * @param {string} triggerType
+ * @param {string} [reason]
+ * @returns {RunRecord}
+ */
+export function createRunRecord(chatId, triggerType, reason = 'schedule') {
+    return {
+        chatId,
+        tickAt:       new Date().toISOString(),
+        triggerType,
+        reason,
+        fired:        false,
+        poll:         null,
+        toolCalls:    [],
+        generationMs: 0,
+        generations:  0,
+        tokens:       0,
+        errors:       [],
+        durationMs:   0,
+    };
+}
+
+/** @returns {string} `text` cut down to a size that is sane to store. */
+export function truncateForHistory(text) {
+    const str = typeof text === 'string' ? text : JSON.stringify(text) ?? String(text);
+    return str.length > MAX_RESULT_CHARS ? `${str.slice(0, MAX_RESULT_CHARS)}… [truncated]` : str;
+}
+
+// ─── persistence ─────────────────────────────────────────────────────────────
+
+/**
+ * Read fresh from the server every time — another context may have added runs.
+ * @param {string} chatId
+ * @returns {Promise<RunRecord[]>} oldest first
+ */
+export async function getRunHistory(chatId) {
+    const res = await fetch(`/user/files/${historyFileName(chatId)}`, { cache: 'no-store' });
+    if (res.ok) return parseJsonl(await res.text());
+    if (res.status !== 404) throw new Error(`Failed to read run history: HTTP ${res.status}`);
+    return migrateLocalHistory(chatId);
+}
+
+/**
+ * Finalise and store a record, dropping the oldest entries past HISTORY_LIMIT.
+ * Best-effort: a record the server didn't take is logged and dropped rather
+ * than failing the tick it describes.
+ * @param {RunRecord} record
+ */
+export async function appendRunRecord(record) {
+    record.durationMs = Date.now() - new Date(record.tickAt).getTime();
+
+    try {
+        await queueWrite(record.chatId, async () => {
+            const records = await getRunHistory(record.chatId);
+            records.push(record);
+            if (records.length > HISTORY_LIMIT) records.splice(0, records.length - HISTORY_LIMIT);
+            await persist(record.chatId, records);
+        });
+    } catch (e) {
+        logWarn('Run record for', record.chatId, 'not saved:', e.message);
+    }
+}
+
+/** @param {string} chatId */
+export async function clearRunHistory(chatId) {
+    await queueWrite(chatId, () => persist(chatId, []));
+}
+
+function queueWrite(chatId, write) {
+    const next = (_writes.get(chatId) ?? Promise.resolve()).catch(() => {}).then(write);
+    _writes.set(chatId, next);
+    return next;
+}
+
+async function persist(chatId, records) {
+    const { getRequestHeaders, eventSource } = SillyTavern.getContext();
+    const res = await fetch('/api/files/upload', {
+        method:  'POST',
+        headers: getRequestHeaders(),
+        body:    JSON.stringify({ name: historyFileName(chatId), data: await toBase64(runHistoryToJsonl(records)) }),
+    });
+    if (!res.ok) throw new Error(`Failed to save run history: HTTP ${res.status}`);
+
+    await eventSource.emit('sa:history-updated', { chatId });
+}
+
+/** Older versions kept history in this browser's localforage; move it to the server once. */
+async function migrateLocalHistory(chatId) {
+    const { localforage } = SillyTavern.libs;
+    const records = (await localforage.getItem(LEGACY_KEY_PREFIX + chatId)) || [];
+    if (records.length > 0) {
+        await persist(chatId, records);
+        await localforage.removeItem(LEGACY_KEY_PREFIX + chatId);
+    }
+    return records;
+}
+
+/** Chat ids are file names with spaces and '@'; escape everything but [A-Za-z0-9-], '_' included, so no two collide. */
+function historyFileName(chatId) {
+    const escaped = chatId.replace(/[^A-Za-z0-9-]/g, c => `_${c.codePointAt(0).toString(16)}_`);
+    return `${HISTORY_FILE_PREFIX}${escaped}.jsonl`;
+}
+
+function parseJsonl(text) {
+    return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+/** UTF-8 safe base64, for ST's file upload endpoint. */
+function toBase64(text) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload  = () => resolve(String(reader.result).split(',')[1] ?? '');
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(new Blob([text], { type: 'text/plain' }));
+    });
+}
+
+// ─── export ──────────────────────────────────────────────────────────────────
+
+/**
+ * One JSON object per line, oldest first — the usual shape for audit logs.
+ * @param {RunRecord[]} records
+ * @returns {string}
+ */
+export function runHistoryToJsonl(records) {
+    return records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : '');
+}
@@ -5,16 +5,19 @@
  *   1. Imports every module and calls their init() on APP_READY.
  *   2. Registers the prompt interceptor declared in manifest.json
  *      (sillyAgentsInterceptor) — this is the only place skills get
- *      injected into the prompt and the auto-queue finish tool is added.
+ *      injected into the prompt and the auto-queue finish tool is explained.
  *   3. Nothing else.
  *
  * All real logic lives in the modules it imports.
  */
 
 import { init as initMacros }          from './macros.js';
-import { init as initSubroutines }     from './subroutines.js';
+import { init as initSilentClient }    from './silentclient.js';
+import { init as initLeader }          from './leader.js';
+import { init as initSubroutines, FINISH_TOOL_NAME } from './subroutines.js';
 import { init as initSubroutinePanel } from './subroutine-panel.js';
 import { init as initChatList }        from './chat-list.js';
+import { init as initSlashCommands }   from './slash-commands.js';
 import { init as initSkills, getAttachedSkillContents } from './skills.js';
 import { log }                         from './utils.js';
 
@@ -31,11 +34,17 @@ import { log }                         from './utils.js';
     log('Initializing…');
 
     // Order matters slightly: macros first (they register sync callbacks that
-    // the interceptor may reference), then the runtime, then UI.
+    // the interceptor may reference), then the SilentClient probe (leader
+    // election needs to know whether we're the ghost), then leader election
+    // (the runtime asks it who owns each loop), then the runtime, then UI and
+    // the slash commands that drive it.
     await initMacros();
+    await initSilentClient();
+    await initLeader();
     await initSubroutines();
     await initSubroutinePanel();
     await initChatList();
+    await initSlashCommands();
     await initSkills();
 
     log('All modules initialized.');
@@ -46,7 +55,8 @@ import { log }                         from './utils.js';
 // Runs BEFORE every generation.  Two jobs:
 //   A) Inject attached skill SKILL.md contents as a system note at the top.
 //   B) If the current chat is a subroutine with auto-queue enabled, append a
-//      system note telling the model about the "finish" tool.
+//      system note telling the model when to call the "finish" tool (the tool
+//      itself is registered with ToolManager by subroutines.js).
 
 globalThis.sillyAgentsInterceptor = async function (chat, contextSize, abort, type) {
     // ── A: Skill injection ───────────────────────────────────────────────
@@ -77,8 +87,8 @@ globalThis.sillyAgentsInterceptor = async function (chat, contextSize, abort, ty
             is_user:    false,
             name:       'System',
             send_date:  new Date().toLocaleString(),
-            mes:        'You have access to a special "finish" tool. '
-                      + 'Call it when the current task is fully complete and no further action is needed. '
+            mes:        `You have access to a special "${FINISH_TOOL_NAME}" tool. `
+                      + 'Call it with a short summary when the current task is fully complete and no further action is needed. '
                       + 'If you do not call any tool, you will be prompted to continue automatically.',
             id:         'sa-autoqueue-hint',
         };
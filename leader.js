@@ -0,0 +1,276 @@
+/**
+ * SillyAgents — Cross-context loop ownership (leader election).
+ *
+ * Several browser contexts can run the runtime at once: more than one
+ * SillyTavern tab, plus the SilentClient ghost browser.  Without coordination
+ * each of them would tick the same loops.  This module makes sure every
+ * subroutine ticks in exactly one context.
+ *
+ * Responsibilities:
+ *   • Keep an ownership lease per subroutine in its config (`owner`), renewed
+ *     while this context holds it.  Leases expire after LEASE_TTL_MS, so a
+ *     context that crashed or lost its network is taken over automatically.
+ *   • Read the lease from the chat file only once per LEASE_RENEW_MS and
+ *     trust that reading in between, so ticks and push events don't each
+ *     fetch the whole chat.  The same read refreshes the cached config.
+ *   • Chat files have no compare-and-swap, so every lease write is read back:
+ *     if another context's write landed last, that context keeps the loop.
+ *   • Prefer real tabs: a tab takes over a lease held by the ghost browser; the
+ *     ghost only claims leases that are free or expired.
+ *   • Never claim a loop whose runIn policy excludes this context.
+ *   • Release leases when the page is hidden for good, so the ghost (or another
+ *     tab) picks the loop up on its next tick instead of waiting for expiry.
+ *   • Announce claims and releases over a BroadcastChannel so other tabs in the
+ *     same browser react immediately.
+ *
+ * Communication contract:
+ *   LISTENS FOR:
+ *     (none — the runtime calls ensureLease() / releaseLease() directly)
+ *   EMITS:
+ *     sa:owner-changed     — { chatId, owner } — the known owner of a loop changed.
+ */
+
+import {
+    getSubroutineConfig, loadSubroutineConfig, stageSubroutineConfig, refreshSubroutineConfig,
+    log, logDebug, logWarn,
+} from './utils.js';
+import { isGhosted, canRunHere } from './silentclient.js';
+
+// ─── constants ───────────────────────────────────────────────────────────────
+
+const LEASE_TTL_MS      = 90_000;   // a lease not renewed for this long is free
+const LEASE_RENEW_MS    = 30_000;   // how often held leases are renewed
+const CHANNEL_NAME      = 'sillyagents-leader';
+
+// ─── state ───────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} LoopOwner
+ * @property {string}  contextId  - random id of the owning browser context
+ * @property {boolean} ghosted    - true if the owner is the SilentClient ghost browser
+ * @property {number}  renewedAt  - epoch ms of the last renewal
+ */
+
+const _contextId = crypto.randomUUID();
+let   _channel   = null;        // BroadcastChannel, if supported
+
+const _owned       = new Set();   // chatIds this context currently holds
+const _knownOwners = new Map();   // chatId -> LoopOwner|null, last owner we saw
+const _checkedAt   = new Map();   // chatId -> epoch ms the lease was last read from the chat file
+
+// ─── init ─────────────────────────────────────────────────────────────────────
+
+// Needs silentclient.js to have finished its probe — index.js inits it first.
+export async function init() {
+    if (typeof BroadcastChannel === 'function') {
+        _channel = new BroadcastChannel(CHANNEL_NAME);
+        _channel.onmessage = onChannelMessage;
+    }
+
+    setInterval(renewOwnedLeases, LEASE_RENEW_MS);
+
+    // pagehide fires on tab close and navigation; release is best-effort, the
+    // TTL covers the cases where the writes don't make it out.
+    window.addEventListener('pagehide', releaseAllLeases);
+
+    log('Leader election ready —', isGhosted() ? 'ghost browser' : 'browser tab', `(${_contextId.slice(0, 8)})`);
+}
+
+// ─── public API ──────────────────────────────────────────────────────────────
+
+/** @returns {string} this browser context's id */
+export function getContextId() {
+    return _contextId;
+}
+
+/**
+ * Make sure this context holds the lease for `chatId`, claiming or renewing it
+ * as needed.  Called by the runtime before every tick.  Within LEASE_RENEW_MS
+ * of the last read the answer comes from memory; after that the lease is read
+ * fresh, so a takeover by another context is noticed within one renewal.
+ * @param {string} chatId
+ * @returns {Promise<boolean>} true if this context may tick the loop
+ */
+export async function ensureLease(chatId) {
+    const cached = getSubroutineConfig(chatId) ?? await loadSubroutineConfig(chatId);
+    if (!cached) return false;
+
+    // runIn says this loop belongs in the other kind of context.
+    if (!canRunHere(cached)) {
+        if (_owned.has(chatId)) await releaseLease(chatId);
+        noteOwner(chatId, cached.owner ?? null);
+        return false;
+    }
+
+    // Between renewals, trust what we last read or wrote.
+    const known = _knownOwners.get(chatId) ?? null;
+    if (Date.now() - (_checkedAt.get(chatId) ?? 0) < LEASE_RENEW_MS) {
+        if (_owned.has(chatId))              return true;
+        if (known && !canTakeOver(known))    return false;
+    }
+
+    const stored = await readStoredConfig(chatId);
+    if (!stored) return false;
+    refreshSubroutineConfig(chatId, stored, { keepRuntime: _owned.has(chatId) });
+    _checkedAt.set(chatId, Date.now());
+
+    const owner = stored.owner ?? null;
+
+    if (owner && owner.contextId !== _contextId && !canTakeOver(owner)) {
+        if (_owned.delete(chatId)) logWarn('Lost loop ownership of', chatId, 'to', describeOwner(owner));
+        noteOwner(chatId, owner);
+        return false;
+    }
+
+    // Ours and recently renewed — nothing to write.
+    const claiming = owner?.contextId !== _contextId;
+    if (!claiming && Date.now() - owner.renewedAt < LEASE_RENEW_MS) {
+        _owned.add(chatId);
+        noteOwner(chatId, owner);
+        return true;
+    }
+
+    // Free, expired, ours, or a ghost lease we (a real tab) may take over.
+    await writeOwner(chatId, makeOwner());
+
+    // Another context may have written between our read and write; whoever
+    // wrote last holds the lease.
+    const written = (await readStoredConfig(chatId))?.owner ?? null;
+    if (written?.contextId !== _contextId) {
+        _owned.delete(chatId);
+        noteOwner(chatId, written);
+        logDebug('Lost the race for', chatId, 'to', describeOwner(written));
+        return false;
+    }
+
+    _owned.add(chatId);
+    if (claiming) {
+        logDebug('Claimed loop ownership of', chatId, owner ? `from ${describeOwner(owner)}` : '');
+        broadcast({ type: 'claim', chatId, owner: written });
+    }
+    return true;
+}
+
+/**
+ * Give up the lease for `chatId` if this context holds it.  Called when the
+ * loop stops here so another context doesn't have to wait for the TTL.
+ * @param {string} chatId
+ */
+export async function releaseLease(chatId) {
+    if (!_owned.delete(chatId)) return;
+
+    const stored = await readStoredConfig(chatId);
+    if (stored?.owner?.contextId === _contextId) {
+        await writeOwner(chatId, null);
+    }
+    _checkedAt.delete(chatId);
+    noteOwner(chatId, null);
+    broadcast({ type: 'release', chatId });
+}
+
+/**
+ * @param {string} chatId
+ * @returns {boolean} true if this context holds the lease for `chatId`
+ */
+export function holdsLease(chatId) {
+    return _owned.has(chatId);
+}
+
+/**
+ * Last known owner of a loop, for display.  May lag reality by one tick.
+ * @param {string} chatId
+ * @returns {LoopOwner|null}
+ */
+export function getLoopOwner(chatId) {
+    return _knownOwners.get(chatId) ?? null;
+}
+
+/**
+ * @param {LoopOwner|null} owner
+ * @returns {string} human-readable description relative to this context
+ */
+export function describeOwner(owner) {
+    if (!owner) return 'no context';
+    if (owner.contextId === _contextId) return isGhosted() ? 'this ghost browser' : 'this tab';
+    return owner.ghosted ? 'the ghost browser' : 'another tab';
+}
+
+// ─── lease internals ─────────────────────────────────────────────────────────
+
+function makeOwner() {
+    return { contextId: _contextId, ghosted: isGhosted(), renewedAt: Date.now() };
+}
+
+/** Someone else's lease is ours to take if it expired, or if it's the ghost's and we're a real tab. */
+function canTakeOver(owner) {
+    if (Date.now() - (owner.renewedAt ?? 0) > LEASE_TTL_MS) return true;
+    return owner.ghosted && !isGhosted();
+}
+
+/** The config block as it is in the chat file right now (even for the open chat). */
+async function readStoredConfig(chatId) {
+    const chatData = await SillyTavern.getContext().loadChat(chatId);
+    return chatData?.chat_metadata?.sillyagents ?? null;
+}
+
+/** Write only the lease into the chat file, leaving the rest of the config as stored. */
+async function writeOwner(chatId, owner) {
+    const { loadChat, saveChat } = SillyTavern.getContext();
+    const chatData = await loadChat(chatId);
+    if (!chatData?.chat_metadata?.sillyagents) return;
+
+    chatData.chat_metadata.sillyagents = { ...chatData.chat_metadata.sillyagents, owner };
+    await saveChat(chatId, chatData);
+
+    const config = getSubroutineConfig(chatId);
+    if (config) stageSubroutineConfig(chatId, { ...config, owner });
+    _checkedAt.set(chatId, Date.now());
+    noteOwner(chatId, owner);
+}
+
+function noteOwner(chatId, owner) {
+    const previous = _knownOwners.get(chatId) ?? null;
+    _knownOwners.set(chatId, owner);
+    if (previous?.contextId === owner?.contextId) return;
+
+    const { eventSource } = SillyTavern.getContext();
+    eventSource.emit('sa:owner-changed', { chatId, owner });
+}
+
+async function renewOwnedLeases() {
+    for (const chatId of [..._owned]) {
+        try {
+            await ensureLease(chatId);
+        } catch (e) {
+            logWarn('Lease renewal failed for', chatId, e);
+        }
+    }
+}
+
+function releaseAllLeases() {
+    for (const chatId of [..._owned]) releaseLease(chatId);
+}
+
+// ─── same-browser coordination ───────────────────────────────────────────────
+
+function broadcast(message) {
+    _channel?.postMessage({ ...message, from: _contextId });
+}
+
+/**
+ * Another tab in this browser claimed or released a loop.  A claim means it
+ * won the lease, so we stand down immediately instead of at the next tick; a
+ * release means the loop is up for grabs, and our next tick will claim it.
+ */
+function onChannelMessage({ data }) {
+    if (!data?.chatId || data.from === _contextId) return;
+
+    if (data.type === 'claim') {
+        if (_owned.delete(data.chatId)) logDebug('Handing', data.chatId, 'over to another tab');
+        _checkedAt.set(data.chatId, Date.now());
+        noteOwner(data.chatId, data.owner ?? null);
+    } else if (data.type === 'release') {
+        _checkedAt.delete(data.chatId);   // read it fresh on the next tick
+        noteOwner(data.chatId, null);
+    }
+}
@@ -6,7 +6,7 @@
  * Exported init() sets up event listeners for live updates (lastCapturedCode).
  */
 
-import { MODULE_NAME, log } from './utils.js';
+import { MODULE_NAME, getCurrentChatId, log } from './utils.js';
 
 const context = SillyTavern.getContext();
 
@@ -15,6 +15,7 @@ const context = SillyTavern.getContext();
 
 let _lastCapturedCode   = '';
 let _cachedToolResults  = {};   // { "toolName": "result string" }
+let _triggerPayloads    = {};   // { chatId: "extracted payload" } — last trigger that fired
 
 /**
  * Called by the prompt interceptor to cache a tool result before generation.
@@ -25,6 +26,24 @@ export function cacheToolResult(toolName, result) {
     _cachedToolResults[toolName] = result;
 }
 
+/**
+ * Called by the subroutine runtime when a tool/API trigger fires, with the
+ * payload extracted from the body that fired it.
+ * @param {string} chatId
+ * @param {string} payload
+ */
+export function setTriggerPayload(chatId, payload) {
+    _triggerPayloads[chatId] = payload;
+}
+
+/**
+ * @param {string} chatId
+ * @returns {string} the payload of the last trigger that fired for `chatId`, '' if none
+ */
+export function getTriggerPayload(chatId) {
+    return _triggerPayloads[chatId] ?? '';
+}
+
 /**
  * Called by CHARACTER_MESSAGE_RENDERED listener to extract the last code block.
  * @param {string} messageText
@@ -109,6 +128,14 @@ context.registerMacro('lastCapturedCode', () => {
     return _lastCapturedCode || '(no code block captured)';
 });
 
+// ─── Trigger macros ──────────────────────────────────────────────────────────
+
+// The runtime substitutes this in the heartbeat message for the chat that
+// fired; the registered macro covers everything else in the open chat.
+context.registerMacro('triggerPayload', () => {
+    return getTriggerPayload(getCurrentChatId());
+});
+
 // ─── init (called by index.js) ───────────────────────────────────────────────
 
 /**
@@ -0,0 +1,143 @@
+/**
+ * SillyAgents — Trigger payload extraction.
+ *
+ * Responsibilities:
+ *   • Parse the body that fired a tool or API trigger as JSON when it is JSON.
+ *   • Resolve path expressions against it (`messages[0].subject`,
+ *     `items[*].id`, `data.count`).
+ *   • Render the extracted payload as text for the heartbeat message
+ *     ({{triggerPayload}}).
+ *
+ * Path syntax: dot-separated keys, `[n]` array indices (negative counts from
+ * the end), and `[*]` to map the rest of the path over every array element.
+ * A path line may be labelled — `subject = messages[0].subject` — in which
+ * case the result is an object keyed by label.
+ *
+ * Pure module — no DOM, no timers, no SillyTavern context.
+ *
+ * Export surface:
+ *   parsePayload(raw)                 → any      (JSON value, or the raw string)
+ *   parsePath(path)                   → (string|number)[]   (throws on bad input)
+ *   getByPath(value, path)            → any      (undefined when nothing matches)
+ *   extractPayload(raw, pathsText)    → string
+ */
+
+// ─── parsing ─────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} raw
+ * @returns {*} the parsed JSON value, or `raw` itself if it isn't JSON
+ */
+export function parsePayload(raw) {
+    if (typeof raw !== 'string') return raw;
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return raw;
+    }
+}
+
+/** Marker segment for `[*]`. */
+const WILDCARD = Symbol('wildcard');
+
+/**
+ * Split a path expression into keys and indices.
+ * @param {string} path
+ * @returns {Array<string|number|symbol>}
+ */
+export function parsePath(path) {
+    const segments = [];
+    const re = /([^.[\]]+)|\[(-?\d+|\*)\]|(\.)/gy;
+    const src = String(path).trim();
+    let expectKey = false;
+    let match;
+
+    re.lastIndex = 0;
+    while (re.lastIndex < src.length) {
+        const start = re.lastIndex;
+        match = re.exec(src);
+        if (!match) throw new Error(`Bad path "${path}" at position ${start + 1}.`);
+
+        if (match[1] !== undefined) {
+            segments.push(match[1].trim());
+            expectKey = false;
+        } else if (match[2] !== undefined) {
+            segments.push(match[2] === '*' ? WILDCARD : Number(match[2]));
+            expectKey = false;
+        } else {
+            if (expectKey || segments.length === 0) throw new Error(`Bad path "${path}": empty key.`);
+            expectKey = true;
+        }
+    }
+    if (expectKey) throw new Error(`Bad path "${path}": ends with ".".`);
+    return segments;
+}
+
+// ─── lookup ──────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve `path` against `value`.  An empty path returns the value itself.
+ * @param {*} value
+ * @param {string} path
+ * @returns {*} undefined if any step is missing
+ */
+export function getByPath(value, path) {
+    return walk(value, parsePath(path));
+}
+
+function walk(value, segments) {
+    let current = value;
+    for (let i = 0; i < segments.length; i++) {
+        if (current === null || current === undefined) return undefined;
+        const segment = segments[i];
+
+        if (segment === WILDCARD) {
+            if (!Array.isArray(current)) return undefined;
+            const rest = segments.slice(i + 1);
+            return current.map(item => walk(item, rest));
+        }
+        if (typeof segment === 'number') {
+            if (!Array.isArray(current)) return undefined;
+            current = current.at(segment);
+            continue;
+        }
+        current = current[segment];
+    }
+    return current;
+}
+
+// ─── rendering ───────────────────────────────────────────────────────────────
+
+/**
+ * Turn a trigger body into the text the model sees.  With no paths the whole
+ * body is used (pretty-printed if JSON); otherwise one value per path line.
+ * @param {string} raw        - the body that fired the trigger
+ * @param {string} pathsText  - newline-separated path expressions, optionally `label = path`
+ * @returns {string}
+ */
+export function extractPayload(raw, pathsText = '') {
+    const value = parsePayload(raw);
+    const lines = String(pathsText).split('\n').map(l => l.trim()).filter(Boolean);
+
+    if (lines.length === 0) return stringify(value);
+    if (value === null || typeof value !== 'object') return stringify(value);   // nothing to walk
+
+    const entries = lines.map(line => {
+        const eq = line.indexOf('=');
+        return eq === -1
+            ? [line, line]
+            : [line.slice(0, eq).trim(), line.slice(eq + 1).trim()];
+    });
+
+    // A single unlabelled path yields the bare value.
+    if (entries.length === 1 && !lines[0].includes('=')) {
+        return stringify(getByPath(value, entries[0][1]));
+    }
+    return stringify(Object.fromEntries(entries.map(([label, path]) => [label, getByPath(value, path) ?? null])));
+}
+
+function stringify(value) {
+    if (value === undefined) return '';
+    if (typeof value === 'string') return value;
+    return JSON.stringify(value, null, 2);
+}
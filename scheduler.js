@@ -0,0 +1,102 @@
+/**
+ * SillyAgents — Global tick scheduler.
+ *
+ * Every running subroutine has its own timer, but timers don't run ticks
+ * directly: they hand them to this scheduler.  Without it, ten subroutines on
+ * the same interval would all fire at once and hit the provider with ten
+ * parallel generations.
+ *
+ * Responsibilities:
+ *   • Keep a queue of due ticks, ordered by per-subroutine priority (higher
+ *     first) and FIFO within a priority.
+ *   • Run at most `maxConcurrentGenerations` ticks at a time (global setting).
+ *     A tick holds its slot from trigger evaluation to the end of its
+ *     heartbeat, auto-queue included.
+ *   • Never queue a subroutine twice: a chat that is already waiting or
+ *     running is skipped, like the old "generation in progress" check.
+ *
+ * Jitter is applied by the runtime before a tick is queued (see queueTick in
+ * subroutines.js), so aligned intervals arrive here already spread out.
+ *
+ * Export surface:
+ *   enqueueTick(chatId, priority, run) → boolean   (false if already queued/running)
+ *   cancelTicks(chatId)                            (drop queued, not running, ticks)
+ *   getSchedulerState()                → { running: string[], queued: string[] }
+ */
+
+import { getGlobalSettings, logDebug, logError } from './utils.js';
+
+// ─── state ───────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} QueuedTick
+ * @property {string}   chatId
+ * @property {number}   priority
+ * @property {number}   seq        - insertion order, for FIFO within a priority
+ * @property {Function} run        - async () => void
+ */
+
+/** @type {QueuedTick[]} */
+const _queue  = [];
+const _active = new Set();   // chatIds whose tick is running right now
+let   _seq    = 0;
+
+// ─── public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Queue a tick.  It runs as soon as a slot is free and nothing of higher
+ * priority (or equal priority, queued earlier) is waiting.
+ * @param {string}   chatId
+ * @param {number}   priority
+ * @param {Function} run - async () => void
+ * @returns {boolean} false if this chat already has a tick queued or running
+ */
+export function enqueueTick(chatId, priority, run) {
+    if (_active.has(chatId) || _queue.some(t => t.chatId === chatId)) {
+        logDebug('Tick for', chatId, 'already queued or running — skipped');
+        return false;
+    }
+
+    _queue.push({ chatId, priority: Number(priority) || 0, seq: _seq++, run });
+    _queue.sort((a, b) => b.priority - a.priority || a.seq - b.seq);
+
+    pump();
+    return true;
+}
+
+/**
+ * Drop any queued tick for `chatId`.  A tick that is already running is left
+ * to finish; the runtime checks its loop state as it goes.
+ * @param {string} chatId
+ */
+export function cancelTicks(chatId) {
+    const index = _queue.findIndex(t => t.chatId === chatId);
+    if (index !== -1) _queue.splice(index, 1);
+}
+
+/** @returns {{ running: string[], queued: string[] }} */
+export function getSchedulerState() {
+    return {
+        running: [..._active],
+        queued:  _queue.map(t => t.chatId),
+    };
+}
+
+// ─── internals ───────────────────────────────────────────────────────────────
+
+function pump() {
+    const limit = Math.max(Number(getGlobalSettings().maxConcurrentGenerations) || 1, 1);
+
+    while (_active.size < limit && _queue.length > 0) {
+        const tick = _queue.shift();
+        _active.add(tick.chatId);
+
+        Promise.resolve()
+            .then(tick.run)
+            .catch(e => logError('Scheduled tick failed for', tick.chatId, e))
+            .finally(() => {
+                _active.delete(tick.chatId);
+                pump();
+            });
+    }
+}
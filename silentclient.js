@@ -0,0 +1,121 @@
+/**
+ * SillyAgents — SilentClient integration.
+ *
+ * SilentClient is the server plugin that keeps a headless "ghost" browser
+ * running SillyTavern, so subroutine loops survive the user closing their tab.
+ * SillyAgents depends on it (see README).
+ *
+ * Responsibilities:
+ *   • On boot, probe /api/plugins/silentclient/ghosted to learn whether the
+ *     plugin is installed and whether this context is the ghost browser.
+ *   • Warn loudly when the plugin is missing — the spec promises no silent
+ *     failure, and without it loops stop as soon as the tab closes.
+ *   • Answer "may this subroutine run here?" for the per-config runIn policy.
+ *
+ * Communication contract:
+ *   LISTENS FOR:
+ *     (none)
+ *   EMITS:
+ *     sa:silentclient-status — SilentClientStatus — once the probe has finished.
+ */
+
+import { log, logWarn } from './utils.js';
+
+// ─── constants ───────────────────────────────────────────────────────────────
+
+const GHOSTED_ENDPOINT = '/api/plugins/silentclient/ghosted';
+const REPO_URL         = 'https://github.com/walnutseal1/SillyTavern-SilentClient';
+
+// ─── state ───────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} SilentClientStatus
+ * @property {boolean} checked    - has the probe finished
+ * @property {boolean} installed  - did the plugin answer
+ * @property {boolean} ghosted    - is this context the ghost browser
+ * @property {string}  error      - why the probe failed, '' if it didn't
+ */
+
+/** @type {SilentClientStatus} */
+let _status = { checked: false, installed: false, ghosted: false, error: '' };
+
+// ─── init ─────────────────────────────────────────────────────────────────────
+
+export async function init() {
+    _status = await probe();
+
+    if (!_status.installed) {
+        logWarn('SilentClient not detected:', _status.error);
+        // Sticky toast: this is a setup problem the user has to act on.
+        toastr.error(
+            `SilentClient plugin not detected (${_status.error}). Subroutines will stop when this tab closes. `
+            + `Install it from ${REPO_URL}.`,
+            'SillyAgents',
+            { timeOut: 0, extendedTimeOut: 0, closeButton: true },
+        );
+    } else {
+        log('SilentClient detected —', _status.ghosted ? 'running in the ghost browser.' : 'running in a browser tab.');
+    }
+
+    const { eventSource } = SillyTavern.getContext();
+    await eventSource.emit('sa:silentclient-status', getSilentClientStatus());
+}
+
+async function probe() {
+    try {
+        const res = await fetch(GHOSTED_ENDPOINT);
+        if (!res.ok) {
+            return { checked: true, installed: false, ghosted: false, error: `HTTP ${res.status}` };
+        }
+        return { checked: true, installed: true, ghosted: parseGhosted(await res.text()), error: '' };
+    } catch (e) {
+        return { checked: true, installed: false, ghosted: false, error: e.message };
+    }
+}
+
+/** The endpoint has answered with a bare boolean and with a JSON object; accept both. */
+function parseGhosted(text) {
+    try {
+        const body = JSON.parse(text);
+        return body === true || body?.ghosted === true || body?.IsGhosted === true;
+    } catch {
+        return text.trim().toLowerCase() === 'true';
+    }
+}
+
+// ─── public API ──────────────────────────────────────────────────────────────
+
+/** @returns {SilentClientStatus} a copy of the probe result */
+export function getSilentClientStatus() {
+    return { ..._status };
+}
+
+/** @returns {boolean} true if this context is the SilentClient ghost browser */
+export function isGhosted() {
+    return _status.ghosted;
+}
+
+/**
+ * Does the subroutine's runIn policy allow it to run in this context?
+ * @param {SubroutineConfig} config
+ * @returns {boolean}
+ */
+export function canRunHere(config) {
+    switch (config.runIn) {
+        case 'ghost': return _status.ghosted;
+        case 'tab':   return !_status.ghosted;
+        default:      return true;
+    }
+}
+
+/**
+ * @param {'any'|'ghost'|'tab'} runIn
+ * @returns {string} label for the panel
+ */
+export function describeRunIn(runIn) {
+    switch (runIn) {
+        case 'ghost': return 'the ghost browser only';
+        case 'tab':   return 'a browser tab only';
+        default:      return 'the ghost browser or a tab';
+    }
+}
@@ -7,6 +7,8 @@
  *   • Let the user attach/detach skills to the current chat (stored in chatMetadata).
  *   • Handle import (.zip and folder) and export flows.
  *   • Persist the global skill library in localforage.
+ *   • Expose the library and the current chat's attachments to templates.js,
+ *     which exports skills with a subroutine and re-attaches them on import.
  *
  * Communication contract:
  *   LISTENS FOR:
@@ -188,7 +190,12 @@ async function onImportFolder(e) {
 
 // ─── skill library CRUD ──────────────────────────────────────────────────────
 
-async function addSkill(skill) {
+/** @returns {Skill[]} every skill in the library */
+export function getSkillLibrary() {
+    return _skills;
+}
+
+export async function addSkill(skill) {
     const { localforage } = SillyTavern.libs;
     _skills.push(skill);
     await localforage.setItem(SKILLS_STORE_KEY, _skills);
@@ -218,12 +225,12 @@ function exportSkill(skill) {
 // ─── attach / detach to current chat ─────────────────────────────────────────
 // Attached skills are stored as an array of skill IDs in chatMetadata.sillyagents_attached.
 
-function getAttachedSkillIds() {
+export function getAttachedSkillIds() {
     const meta = SillyTavern.getContext().chatMetadata;
     return meta?.sillyagents_attached ?? [];
 }
 
-async function attachSkillToCurrentChat(skillId) {
+export async function attachSkillToCurrentChat(skillId) {
     const attached = getAttachedSkillIds();
     if (attached.includes(skillId)) return; // already attached
     attached.push(skillId);
@@ -0,0 +1,252 @@
+/**
+ * SillyAgents — Slash commands.
+ *
+ * Responsibilities:
+ *   • Register `/subroutine <action>` so STscript, Quick Replies and existing
+ *     automation can drive subroutines: list, start, stop, run, status, set,
+ *     create.
+ *   • Resolve the target subroutine from `chat=` (chat id / file name, or the
+ *     chat's display name); without it, the open chat.
+ *   • Return values a script can pipe on: JSON for list / status / set, the
+ *     chat id for create, `true` / `false` otherwise.  Bad input throws, which
+ *     stops the script with the message.
+ *
+ * Communication contract:
+ *   LISTENS FOR:
+ *     (none — ST's slash command parser calls us)
+ *   EMITS:
+ *     sa:config-changed   — after start / stop / set, so subroutines.js reacts.
+ */
+
+import {
+    getSubroutineConfig, loadSubroutineConfig, saveSubroutineConfig, defaultSubroutineConfig,
+    getCurrentChatId, clearPauseState, RUNTIME_CONFIG_KEYS, log,
+} from './utils.js';
+import { runNow } from './subroutines.js';
+import { createSubroutine } from './chat-list.js';
+import { currentUsage } from './budget.js';
+import { validateSubroutineConfig, checkEnvironment } from './failsafes.js';
+
+const ACTIONS = ['list', 'start', 'stop', 'run', 'status', 'set', 'create'];
+
+// ─── init ─────────────────────────────────────────────────────────────────────
+
+export async function init() {
+    const { SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } =
+        SillyTavern.getContext();
+    if (!SlashCommandParser?.addCommandObject) {
+        log('Warning: slash command API not available — /subroutine not registered.');
+        return;
+    }
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name:     'subroutine',
+        callback: onSubroutineCommand,
+        returns:  'JSON for list / status / set, the new chat id for create, otherwise true or false',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name:        'chat',
+                description: 'subroutine to act on: chat id, file name or display name (default: the open chat)',
+                typeList:    [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name:        'key',
+                description: 'config key for set, e.g. intervalSeconds',
+                typeList:    [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name:         'start',
+                description:  'for create: start the new subroutine right away',
+                typeList:     [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'true',
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'action, followed by its value (set: the new value, create: the name)',
+                typeList:    [ARGUMENT_TYPE.STRING],
+                isRequired:  true,
+                enumList:    ACTIONS,
+            }),
+        ],
+        helpString: `
+            <div>Control SillyAgents subroutines.</div>
+            <ul>
+                <li><code>/subroutine list</code> — JSON array of every subroutine</li>
+                <li><code>/subroutine start chat="Email Triage"</code> / <code>stop</code></li>
+                <li><code>/subroutine run</code> — tick now, whatever the schedule</li>
+                <li><code>/subroutine status chat=…</code> — JSON status object</li>
+                <li><code>/subroutine set key=intervalSeconds 600</code> — JSON of the new value</li>
+                <li><code>/subroutine create start=false My Subroutine</code> — new chat id</li>
+            </ul>`,
+    }));
+
+    log('Slash commands registered.');
+}
+
+// ─── dispatch ────────────────────────────────────────────────────────────────
+
+async function onSubroutineCommand(args, text) {
+    // Only the action is a token; the value is the rest of the text as typed,
+    // so multi-line values and repeated spaces survive.
+    const [, action, value] = /^\s*(\S*)\s*([\s\S]*)$/.exec(String(text ?? ''));
+
+    switch (action.toLowerCase()) {
+        case 'list':   return JSON.stringify(await listSubroutines());
+        case 'start':  return String(await setRunning(await resolveChat(args.chat), true));
+        case 'stop':   return String(await setRunning(await resolveChat(args.chat), false));
+        case 'run':    return String(await runNow(await resolveChat(args.chat)));
+        case 'status': return JSON.stringify(await getStatus(await resolveChat(args.chat)));
+        case 'set':    return JSON.stringify(await setKey(await resolveChat(args.chat), args.key, value));
+        case 'create': {
+            if (!value.trim()) throw new Error('/subroutine create needs a name.');
+            return await createSubroutine(value.trim(), { start: String(args.start ?? 'true') !== 'false' });
+        }
+        default:
+            throw new Error(`Unknown /subroutine action "${action}". Use one of: ${ACTIONS.join(', ')}.`);
+    }
+}
+
+// ─── chat lookup ─────────────────────────────────────────────────────────────
+
+/**
+ * Every subroutine chat of the current character, with its display name.
+ * @returns {Promise<Array<{ chatId: string, name: string, running: boolean, triggerType: string, state: string }>>}
+ */
+async function listSubroutines() {
+    const { getChats, loadChat } = SillyTavern.getContext();
+    const result = [];
+
+    for (const chat of await getChats()) {
+        const chatData = await loadChat(chat.file_name);
+        const config   = chatData?.chat_metadata?.sillyagents;
+        if (!config?.isSubroutine) continue;
+
+        result.push({
+            chatId:      chat.file_name,
+            name:        chatData.chat_metadata.custom_name || stripExtension(chat.file_name),
+            running:     !!config.running,
+            triggerType: config.triggerType,
+            state:       config.state ?? 'ok',
+        });
+    }
+    return result;
+}
+
+/**
+ * @param {string} [ref] - chat id, file name (with or without extension) or display name
+ * @returns {Promise<string>} chatId, with its config loaded
+ */
+async function resolveChat(ref) {
+    if (!ref) {
+        const chatId = getCurrentChatId();
+        if (!chatId || !getSubroutineConfig()) throw new Error('The open chat is not a subroutine; pass chat=.');
+        return chatId;
+    }
+
+    const wanted = String(ref).trim();
+    const subs   = await listSubroutines();
+    const match  = subs.find(s => s.chatId === wanted || stripExtension(s.chatId) === stripExtension(wanted))
+        ?? subs.find(s => s.name.toLowerCase() === wanted.toLowerCase());
+    if (!match) throw new Error(`No subroutine "${wanted}" for this character.`);
+
+    await loadSubroutineConfig(match.chatId);
+    return match.chatId;
+}
+
+function stripExtension(fileName) {
+    return String(fileName).replace(/\.jsonl?$/, '');
+}
+
+// ─── actions ─────────────────────────────────────────────────────────────────
+
+async function setRunning(chatId, running) {
+    const config = getSubroutineConfig(chatId);
+    if (running && !config.running) {
+        assertStartable(config);
+        clearPauseState(config);
+    }
+    config.running = running;
+    await saveConfig(chatId, config);
+    return true;
+}
+
+async function getStatus(chatId) {
+    const config = getSubroutineConfig(chatId);
+    const usage  = currentUsage(config.usage);
+    return {
+        chatId,
+        running:          config.running,
+        triggerType:      config.triggerType,
+        state:            config.state,
+        lastError:        config.lastError,
+        pausedReason:     config.pausedReason,
+        lastRunAt:        config.lastRunAt,
+        nextRunAt:        config.nextRunAt,
+        pendingApprovals: config.pendingApprovals.length,
+        tokensToday:      usage.day,
+        tokensTotal:      usage.total,
+    };
+}
+
+/**
+ * Set one config key, converting the text to the key's type (number,
+ * boolean, or JSON for lists and objects).  Values that give the config a
+ * problem it didn't already have (failsafes.js) are refused.
+ * @returns {Promise<*>} the value stored
+ */
+async function setKey(chatId, key, text) {
+    const defaults = defaultSubroutineConfig();
+    if (!key || !(key in defaults)) throw new Error(`Unknown subroutine config key "${key ?? ''}".`);
+    if (RUNTIME_CONFIG_KEYS.includes(key)) throw new Error(`"${key}" is managed by the runtime and can't be set.`);
+
+    const config = getSubroutineConfig(chatId);
+    const value  = convertValue(key, text, defaults[key]);
+
+    const known   = new Set(validateSubroutineConfig(config).map(p => p.message));
+    const problem = validateSubroutineConfig({ ...config, [key]: value }).find(p => !known.has(p.message));
+    if (problem) throw new Error(problem.message);
+
+    if (key === 'running' && value && !config.running) {
+        assertStartable(config);
+        clearPauseState(config);
+    }
+
+    config[key] = value;
+    await saveConfig(chatId, config);
+    return value;
+}
+
+function convertValue(key, text, example) {
+    switch (typeof example) {
+        case 'number': {
+            const n = Number(text);
+            if (text.trim() === '' || Number.isNaN(n)) throw new Error(`"${key}" needs a number, got "${text}".`);
+            return n;
+        }
+        case 'boolean':
+            if (/^(true|on|yes|1)$/i.test(text.trim()))  return true;
+            if (/^(false|off|no|0)$/i.test(text.trim())) return false;
+            throw new Error(`"${key}" needs true or false, got "${text}".`);
+        case 'string':
+            return text;
+        default:
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                throw new Error(`"${key}" needs JSON: ${e.message}`);
+            }
+    }
+}
+
+/** The checks the creation wizard runs before it starts a subroutine. */
+function assertStartable(config) {
+    const problems = [...checkEnvironment(), ...validateSubroutineConfig(config).map(p => p.message)];
+    if (problems.length) throw new Error(`Can't start this subroutine: ${problems.join(' ')}`);
+}
+
+async function saveConfig(chatId, config) {
+    await saveSubroutineConfig(chatId, config);
+    const { eventSource } = SillyTavern.getContext();
+    await eventSource.emit('sa:config-changed', { chatId });
+}
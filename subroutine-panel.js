@@ -5,17 +5,72 @@
  *   • Inject the panel DOM once into the page.
  *   • Show/hide it based on whether the current chat is a subroutine.
  *   • Render all config controls from chatMetadata.
- *   • Write changes back to chatMetadata and emit sa:config-changed.
+ *   • Write committed changes back to the chat file and emit sa:config-changed.
  *
  * Communication contract:
  *   LISTENS FOR:
  *     CHAT_CHANGED        — show or hide panel, re-populate fields.
  *     sa:loop-state        — update the running toggle to reflect actual state.
+ *     sa:subroutine-finished — show the final summary the model reported.
+ *     sa:subroutine-paused   — show why the runtime paused the subroutine.
+ *     sa:history-updated     — re-render the run timeline and last/next run times.
+ *     sa:owner-changed       — show which browser context runs the loop.
+ *     sa:silentclient-status — show whether SilentClient is installed / we're the ghost.
+ *     sa:stream-state        — show the connection state of a push-mode API trigger.
+ *     sa:usage-updated       — redraw the token usage meter.
+ *     sa:approval-requested  — list the parked tool call and raise an approve / reject toast.
+ *     sa:approval-resolved   — drop it from the list and close its toast.
+ *   Also re-checks the active-hours status ("sleeping until …") once a minute.
  *   EMITS:
  *     sa:config-changed   — after any config write, so subroutines.js can react.
  */
 
-import { getSubroutineConfig, setSubroutineConfig, isCurrentChatSubroutine, log } from './utils.js';
+import {
+    getSubroutineConfig, updateSubroutineConfig, stageSubroutineConfig, isCurrentChatSubroutine, getCurrentChatId,
+    getGlobalSettings, setGlobalSettings, clearPauseState, RUNTIME_CONFIG_KEYS, log,
+} from './utils.js';
+import { nextCronRuns, isValidTimezone } from './cron.js';
+import { getRunHistory, clearRunHistory, runHistoryToJsonl } from './history.js';
+import { getLoopOwner, describeOwner, getContextId } from './leader.js';
+import { getSilentClientStatus, canRunHere, describeRunIn } from './silentclient.js';
+import { getStreamState, pushAuthWarnings } from './api-stream.js';
+import { parsePath } from './payload.js';
+import { parseHeaders } from './api-request.js';
+import { validateCondition, CONDITION_MODES } from './conditions.js';
+import { getToolSchema, parseToolArgs, validateToolArgs } from './tool-args.js';
+import { findChainCycle, resolveApproval, runNow, dryRun, isLoopRunning } from './subroutines.js';
+import { getToolName } from './gen.js';
+import { currentUsage, budgetFill, parseModelPrices, formatTokens } from './budget.js';
+import { WEEKDAY_NAMES, compileWindows, validateWindows, isActiveAt, nextActiveTime } from './windows.js';
+import { exportCurrentSubroutine } from './templates.js';
+import { MIN_INTERVAL_SECONDS } from './failsafes.js';
+
+// How many upcoming cron runs the preview lists.
+const CRON_PREVIEW_COUNT = 5;
+
+// How many runs the timeline renders (the full history is still exported).
+const TIMELINE_LENGTH = 50;
+
+// Longest argument preview shown in an approval toast.
+const APPROVAL_TOAST_ARGS_CHARS = 200;
+
+// approvalId -> toast element, so a decision made in the panel closes its toast.
+const _approvalToasts = new Map();
+
+// How often the "sleeping until …" line is re-checked while the panel is open.
+const WINDOW_STATUS_REFRESH_MS = 60_000;
+
+// How often the timeline is re-read while another context runs the loop —
+// its runs don't raise sa:history-updated here.
+const TIMELINE_REFRESH_MS = 30_000;
+
+// Push-mode API trigger connection states, as shown under the API fields.
+const STREAM_STATE_LABELS = {
+    connecting:   'Connecting…',
+    open:         'Connected — events fire heartbeats immediately.',
+    reconnecting: 'Connection lost, reconnecting…',
+    closed:       'Not connected (loop stopped, or this context does not run it).',
+};
 
 // ─── DOM references (set once during init) ───────────────────────────────────
 let $panel      = null;   // the root panel element
@@ -39,6 +94,44 @@ const PANEL_HTML = `
         <input type="checkbox" id="sa-cfg-running" class="sa-checkbox">
         <span>Running</span>
       </label>
+      <div class="sa-history-toolbar">
+        <button type="button" id="sa-run-now" class="sa-btn sa-btn-sm" title="Tick once now, whatever the schedule">Run Now</button>
+        <button type="button" id="sa-dry-run" class="sa-btn sa-btn-sm"
+          title="Generate a reply to a heartbeat without touching the chat, running tools or polling the trigger">Dry Run</button>
+        <button type="button" id="sa-export-template" class="sa-btn sa-btn-sm sa-btn-export"
+          title="Download this subroutine's setup as a template to import for another character">Export Template</button>
+      </div>
+      <div id="sa-owner-info" class="sa-owner-info"></div>
+      <div id="sa-paused-reason" class="sa-notice sa-notice-warning"></div>
+      <div id="sa-error-state" class="sa-notice sa-notice-error">
+        <div id="sa-error-message"></div>
+        <button type="button" id="sa-error-resume" class="sa-btn sa-btn-sm">Resume</button>
+      </div>
+    </div>
+
+    <!-- ── Tool calls parked until the user decides ── -->
+    <div class="sa-config-section" id="sa-approval-queue">
+      <label class="sa-label">Awaiting Approval</label>
+      <div id="sa-approval-list" class="sa-approval-list"></div>
+    </div>
+
+    <!-- ── Where the loop may run (SilentClient ghost browser vs. real tab) ── -->
+    <div class="sa-config-section">
+      <label class="sa-label">Run In</label>
+      <select id="sa-cfg-runIn" class="sa-select">
+        <option value="any">Ghost browser or tab</option>
+        <option value="ghost">Ghost browser only</option>
+        <option value="tab">Browser tab only</option>
+      </select>
+      <div id="sa-silentclient-info" class="sa-owner-info"></div>
+      <div id="sa-runin-notice" class="sa-notice sa-notice-warning"></div>
+    </div>
+
+    <!-- ── Last finish (shown once the model has called the finish tool) ── -->
+    <div class="sa-config-section" id="sa-finish-info">
+      <label class="sa-label">Last Finish</label>
+      <div id="sa-finish-meta" class="sa-finish-meta"></div>
+      <div id="sa-finish-summary" class="sa-finish-summary"></div>
     </div>
 
     <!-- ── Trigger type ── -->
@@ -46,35 +139,183 @@ const PANEL_HTML = `
       <label class="sa-label">Trigger Type</label>
       <select id="sa-cfg-triggerType" class="sa-select">
         <option value="time">Time-based</option>
+        <option value="cron">Cron schedule</option>
         <option value="tool">Tool-based</option>
         <option value="api">API-based</option>
+        <option value="composite">Composite (AND / OR)</option>
+        <option value="subroutine">After another subroutine</option>
       </select>
     </div>
 
-    <!-- ── Interval ── -->
-    <div class="sa-config-section">
+    <!-- ── Interval (hidden for cron triggers) ── -->
+    <div class="sa-config-section" id="sa-interval-fields">
       <label class="sa-label">Interval (seconds)</label>
       <input type="number" id="sa-cfg-intervalSeconds" class="sa-input" min="5" step="5" value="300">
     </div>
 
+    <!-- ── Cron trigger fields (shown only when triggerType === 'cron') ── -->
+    <div class="sa-config-section sa-trigger-cron" id="sa-cron-fields">
+      <label class="sa-label">Cron Expression</label>
+      <input type="text" id="sa-cfg-cronExpression" class="sa-input" placeholder="0 9 * * 1-5">
+      <label class="sa-label" style="margin-top:8px;">Timezone</label>
+      <input type="text" id="sa-cfg-cronTimezone" class="sa-input" placeholder="Browser local (e.g. Europe/Berlin)">
+      <label class="sa-label" style="margin-top:8px;">Next Runs</label>
+      <ul id="sa-cron-preview" class="sa-cron-preview"></ul>
+    </div>
+
     <!-- ── Tool trigger fields (shown only when triggerType === 'tool') ── -->
     <div class="sa-config-section sa-trigger-tool" id="sa-tool-fields">
       <label class="sa-label">Tool Name</label>
       <input type="text" id="sa-cfg-toolName" class="sa-input" placeholder="e.g. check_email">
-      <label class="sa-label" style="margin-top:8px;">Trigger Condition</label>
-      <input type="text" id="sa-cfg-toolCondition" class="sa-input" placeholder="Text that must appear in tool result">
+      <label class="sa-label" style="margin-top:8px;">Arguments</label>
+      <div id="sa-tool-args-form" class="sa-tool-args-form"></div>
+      <textarea id="sa-cfg-toolArgs" class="sa-textarea" rows="3"
+        placeholder='JSON object, e.g. {"mailbox": "inbox"} — string values may use macros'></textarea>
+      <ul id="sa-tool-args-errors" class="sa-cron-preview"></ul>
+      <label class="sa-label" style="margin-top:8px;">Fire When Result</label>
+      <select id="sa-cfg-toolConditionMode" class="sa-select">
+        <option value="substring">Contains text</option>
+        <option value="regex">Matches regex</option>
+        <option value="equals">Equals</option>
+        <option value="gt">Is greater than</option>
+        <option value="gte">Is at least</option>
+        <option value="lt">Is less than</option>
+        <option value="lte">Is at most</option>
+        <option value="changed">Changed since last poll</option>
+      </select>
+      <div id="sa-tool-condition-value">
+        <label class="sa-label" style="margin-top:8px;">Value</label>
+        <input type="text" id="sa-cfg-toolCondition" class="sa-input" placeholder="Text that must appear in tool result">
+      </div>
+      <label class="sa-label" style="margin-top:8px;">Result Field (JSON path)</label>
+      <input type="text" id="sa-cfg-toolConditionPath" class="sa-input" placeholder="Optional, e.g. inbox.unread — empty tests the whole result">
+      <label class="sa-label sa-label-row" style="margin-top:8px;">
+        <input type="checkbox" id="sa-cfg-toolConditionNegate" class="sa-checkbox">
+        <span>Negate (fire when the condition does not hold)</span>
+      </label>
+      <ul id="sa-tool-condition-errors" class="sa-cron-preview"></ul>
     </div>
 
     <!-- ── API trigger fields (shown only when triggerType === 'api') ── -->
     <div class="sa-config-section sa-trigger-api" id="sa-api-fields">
-      <label class="sa-label">Poll URL</label>
+      <label class="sa-label">Mode</label>
+      <select id="sa-cfg-apiMode" class="sa-select">
+        <option value="poll">Poll on interval</option>
+        <option value="sse">Server-Sent Events (push)</option>
+        <option value="websocket">WebSocket (push)</option>
+      </select>
+      <label class="sa-label" style="margin-top:8px;">URL</label>
       <input type="text" id="sa-cfg-apiUrl" class="sa-input" placeholder="https://example.com/pending">
+      <div id="sa-api-push-fields">
+        <label class="sa-label" style="margin-top:8px;">Max Reconnect Delay (seconds)</label>
+        <input type="number" id="sa-cfg-apiReconnectMaxSeconds" class="sa-input" min="1" step="1" value="60">
+        <label class="sa-label" style="margin-top:8px;">Send Token as Query Parameter</label>
+        <input type="text" id="sa-cfg-apiPushTokenParam" class="sa-input"
+          placeholder="e.g. access_token — empty: the bearer token is only sent with acks"
+          title="Browsers can't set headers on SSE / WebSocket connections; servers that accept the token in the URL read it from this parameter">
+        <div id="sa-stream-state" class="sa-owner-info"></div>
+      </div>
+      <div id="sa-api-poll-fields">
+        <label class="sa-label" style="margin-top:8px;">Method</label>
+        <select id="sa-cfg-apiMethod" class="sa-select">
+          <option value="GET">GET</option>
+          <option value="POST">POST</option>
+          <option value="PUT">PUT</option>
+          <option value="PATCH">PATCH</option>
+        </select>
+        <label class="sa-label" style="margin-top:8px;">Request Body</label>
+        <textarea id="sa-cfg-apiBody" class="sa-textarea" rows="2" placeholder="Sent with POST / PUT / PATCH"></textarea>
+      </div>
+      <label class="sa-label" style="margin-top:8px;">Headers</label>
+      <textarea id="sa-cfg-apiHeaders" class="sa-textarea" rows="2"
+        placeholder="One per line, e.g. X-Api-Key: abc123 (polls and acks only — browsers can't set headers on SSE/WebSocket)"></textarea>
+      <label class="sa-label" style="margin-top:8px;">Bearer Token</label>
+      <input type="password" id="sa-cfg-apiAuthToken" class="sa-input" autocomplete="off" placeholder="Sent as Authorization: Bearer …">
+      <ul id="sa-api-errors" class="sa-cron-preview"></ul>
+
+      <label class="sa-label" style="margin-top:8px;">Ack URL</label>
+      <input type="text" id="sa-cfg-apiAckUrl" class="sa-input"
+        placeholder="Optional — called after a successful heartbeat, e.g. https://example.com/done/{{payloadId}}">
+      <div id="sa-api-ack-fields">
+        <label class="sa-label" style="margin-top:8px;">Ack Method</label>
+        <select id="sa-cfg-apiAckMethod" class="sa-select">
+          <option value="POST">POST</option>
+          <option value="PUT">PUT</option>
+          <option value="PATCH">PATCH</option>
+          <option value="DELETE">DELETE</option>
+          <option value="GET">GET</option>
+        </select>
+        <label class="sa-label" style="margin-top:8px;">Ack Body</label>
+        <textarea id="sa-cfg-apiAckBody" class="sa-textarea" rows="2"
+          placeholder='{"id": "{{payloadId}}"}'></textarea>
+        <label class="sa-label" style="margin-top:8px;">Payload ID Path</label>
+        <input type="text" id="sa-cfg-apiPayloadIdPath" class="sa-input" placeholder="id"
+          title="Where {{payloadId}} is read from in the body that fired the trigger">
+      </div>
+    </div>
+
+    <!-- ── Composite trigger rules (shown only when triggerType === 'composite') ── -->
+    <div class="sa-config-section" id="sa-composite-fields">
+      <label class="sa-label">Rules (AND binds tighter than OR)</label>
+      <div id="sa-composite-rules" class="sa-composite-rules"></div>
+      <div class="sa-history-toolbar">
+        <button type="button" id="sa-composite-add" class="sa-btn sa-btn-sm">Add Rule</button>
+      </div>
+      <ul id="sa-composite-errors" class="sa-cron-preview"></ul>
+    </div>
+
+    <!-- ── Chained trigger fields (shown only when triggerType === 'subroutine') ── -->
+    <div class="sa-config-section" id="sa-upstream-fields">
+      <label class="sa-label">Upstream Subroutine</label>
+      <select id="sa-cfg-upstreamChatId" class="sa-select"></select>
+      <label class="sa-label" style="margin-top:8px;">Fire On</label>
+      <select id="sa-cfg-upstreamEvent" class="sa-select">
+        <option value="finish">Upstream finishes (its summary)</option>
+        <option value="message">Each upstream reply</option>
+        <option value="any">Either</option>
+      </select>
+      <div id="sa-chain-notice" class="sa-notice sa-notice-error"></div>
+    </div>
+
+    <!-- ── Trigger payload (tool / API / chained triggers) ── -->
+    <div class="sa-config-section" id="sa-payload-fields">
+      <label class="sa-label">Payload Fields</label>
+      <textarea id="sa-cfg-payloadPaths" class="sa-textarea" rows="3"
+        placeholder="One path per line, e.g. messages[*].subject or from = messages[0].from — empty uses the whole body"></textarea>
+      <ul id="sa-payload-errors" class="sa-cron-preview"></ul>
     </div>
 
     <!-- ── Heartbeat message ── -->
     <div class="sa-config-section">
       <label class="sa-label">Heartbeat Message</label>
-      <input type="text" id="sa-cfg-heartbeatMessage" class="sa-input" value="[heartbeat]">
+      <input type="text" id="sa-cfg-heartbeatMessage" class="sa-input" value="[heartbeat]"
+        title="{{triggerPayload}} is replaced with the payload that fired a tool or API trigger">
+    </div>
+
+    <!-- ── Agent loop limits ── -->
+    <div class="sa-config-section">
+      <label class="sa-label">Max Tool Rounds</label>
+      <input type="number" id="sa-cfg-maxToolRounds" class="sa-input" min="1" step="1" value="8">
+      <label class="sa-label" style="margin-top:8px;">Heartbeat Time Limit (seconds)</label>
+      <input type="number" id="sa-cfg-heartbeatTimeoutSeconds" class="sa-input" min="10" step="10" value="300">
+      <label class="sa-label" style="margin-top:8px;">Tools Offered</label>
+      <select id="sa-cfg-toolFilterMode" class="sa-select">
+        <option value="all">All registered tools</option>
+        <option value="allow">Only the checked tools</option>
+        <option value="deny">All except the checked tools</option>
+      </select>
+      <div id="sa-tool-filter-list" class="sa-tool-filter-list"></div>
+      <label class="sa-label" style="margin-top:8px;">Tools Requiring Approval</label>
+      <input type="text" id="sa-cfg-approvalTools" class="sa-input"
+        placeholder="Comma-separated tool names, e.g. send_email, delete_file">
+    </div>
+
+    <!-- ── Failure handling ── -->
+    <div class="sa-config-section">
+      <label class="sa-label">Failures Before Auto-Pause</label>
+      <input type="number" id="sa-cfg-maxConsecutiveFailures" class="sa-input" min="1" step="1" value="5">
+      <label class="sa-label" style="margin-top:8px;">Max Backoff (seconds)</label>
+      <input type="number" id="sa-cfg-backoffMaxSeconds" class="sa-input" min="5" step="60" value="3600">
     </div>
 
     <!-- ── Auto-queue ── -->
@@ -89,6 +330,12 @@ const PANEL_HTML = `
       <label class="sa-label">Auto-Queue Prompt</label>
       <textarea id="sa-cfg-autoQueuePrompt" class="sa-textarea" rows="3"
         placeholder="Prompt sent when the model doesn't call a tool"></textarea>
+      <label class="sa-label" style="margin-top:8px;">Max Continuations per Task</label>
+      <input type="number" id="sa-cfg-autoQueueMaxContinuations" class="sa-input" min="1" step="1" value="10">
+      <label class="sa-label" style="margin-top:8px;">Delay Between Continuations (seconds)</label>
+      <input type="number" id="sa-cfg-autoQueueDelaySeconds" class="sa-input" min="0" step="1" value="5">
+      <label class="sa-label" style="margin-top:8px;">Pause After Identical Replies</label>
+      <input type="number" id="sa-cfg-autoQueueStallThreshold" class="sa-input" min="2" step="1" value="3">
     </div>
 
     <!-- ── Misc options ── -->
@@ -117,6 +364,89 @@ const PANEL_HTML = `
       <input type="color" id="sa-cfg-color" class="sa-color-input" value="#4a90d9">
     </div>
 
+    <!-- ── Scheduling priority ── -->
+    <div class="sa-config-section">
+      <label class="sa-label">Priority</label>
+      <input type="number" id="sa-cfg-priority" class="sa-input" step="1" value="0"
+        title="When ticks queue up, higher priority subroutines run first">
+    </div>
+
+    <!-- ── Missed runs (browser / ghost was down, tab was asleep) ── -->
+    <div class="sa-config-section">
+      <label class="sa-label">Catch-Up After Downtime</label>
+      <select id="sa-cfg-catchUpPolicy" class="sa-select">
+        <option value="skip">Skip missed runs</option>
+        <option value="once">Run once immediately</option>
+        <option value="replay">Replay missed runs</option>
+      </select>
+      <div id="sa-catchup-fields">
+        <label class="sa-label" style="margin-top:8px;">Max Replayed Runs</label>
+        <input type="number" id="sa-cfg-catchUpMaxRuns" class="sa-input" min="1" step="1" value="3">
+      </div>
+      <div id="sa-run-times" class="sa-owner-info"></div>
+    </div>
+
+    <!-- ── Token budget ── -->
+    <div class="sa-config-section">
+      <label class="sa-label">Token Budget (0 = no cap)</label>
+      <label class="sa-label" style="margin-top:8px;">Per Hour</label>
+      <input type="number" id="sa-cfg-tokenBudgetHourly" class="sa-input" min="0" step="1000" value="0">
+      <label class="sa-label" style="margin-top:8px;">Per Day</label>
+      <input type="number" id="sa-cfg-tokenBudgetDaily" class="sa-input" min="0" step="1000" value="0">
+      <label class="sa-label" style="margin-top:8px;">Total</label>
+      <input type="number" id="sa-cfg-tokenBudgetTotal" class="sa-input" min="0" step="1000" value="0">
+      <div id="sa-usage-bar" class="sa-usage-bar"><div id="sa-usage-fill" class="sa-usage-fill"></div></div>
+      <div id="sa-usage-info" class="sa-owner-info"></div>
+    </div>
+
+    <!-- ── Active hours / blackout dates ── -->
+    <div class="sa-config-section">
+      <label class="sa-label sa-label-row">
+        <input type="checkbox" id="sa-cfg-windowsEnabled" class="sa-checkbox">
+        <span>Limit to Active Hours</span>
+      </label>
+      <div id="sa-window-fields">
+        ${WEEKDAY_NAMES.map((name, i) => `
+        <label class="sa-label" style="margin-top:8px;">${name}</label>
+        <input type="text" id="sa-cfg-activeHours-${i}" class="sa-input"
+          placeholder="e.g. 09:00-12:00, 13:00-17:00 — * all day, empty never">`).join('')}
+        <label class="sa-label" style="margin-top:8px;">Blackout Dates</label>
+        <textarea id="sa-cfg-blackoutDates" class="sa-textarea" rows="2"
+          placeholder="One per line: 2026-12-25 or 2026-12-24..2026-12-31"></textarea>
+        <label class="sa-label" style="margin-top:8px;">Timezone</label>
+        <input type="text" id="sa-cfg-windowTimezone" class="sa-input" placeholder="e.g. Europe/Berlin — empty uses this browser's timezone">
+        <label class="sa-label" style="margin-top:8px;">Outside Active Hours</label>
+        <select id="sa-cfg-outsideWindowPolicy" class="sa-select">
+          <option value="skip">Skip ticks</option>
+          <option value="defer">Defer to when they open</option>
+        </select>
+        <ul id="sa-window-errors" class="sa-cron-preview"></ul>
+        <div id="sa-window-status" class="sa-owner-info"></div>
+      </div>
+    </div>
+
+    <!-- ── Global scheduler settings (shared by every subroutine) ── -->
+    <div class="sa-config-section" id="sa-global-fields">
+      <label class="sa-label">Max Concurrent Generations (all subroutines)</label>
+      <input type="number" id="sa-global-maxConcurrentGenerations" class="sa-input" min="1" step="1" value="2">
+      <label class="sa-label" style="margin-top:8px;">Tick Jitter (seconds, all subroutines)</label>
+      <input type="number" id="sa-global-tickJitterSeconds" class="sa-input" min="0" step="1" value="10">
+      <label class="sa-label" style="margin-top:8px;">Model Prices per 1k Tokens (all subroutines)</label>
+      <textarea id="sa-global-modelPrices" class="sa-textarea" rows="3"
+        placeholder="One per line: model = prompt, completion — e.g. gpt-4o = 0.0025, 0.01 or claude-* = 0.003, 0.015"></textarea>
+      <ul id="sa-model-price-errors" class="sa-cron-preview"></ul>
+    </div>
+
+    <!-- ── Run history timeline ── -->
+    <div class="sa-config-section">
+      <label class="sa-label">Run History</label>
+      <div class="sa-history-toolbar">
+        <button type="button" id="sa-history-export" class="sa-btn sa-btn-sm sa-btn-export">Export JSONL</button>
+        <button type="button" id="sa-history-clear" class="sa-btn sa-btn-sm sa-btn-delete">Clear</button>
+      </div>
+      <ol id="sa-history-list" class="sa-history-list"></ol>
+    </div>
+
   </div><!-- end panel-body -->
 </div>
 `;
@@ -140,9 +470,29 @@ export async function init() {
     // 4. Listen to ST events.
     eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
     eventSource.on('sa:loop-state', onLoopState);
+    eventSource.on('sa:subroutine-finished', onSubroutineFinished);
+    eventSource.on('sa:subroutine-paused',   onSubroutinePaused);
+    eventSource.on('sa:history-updated',     onHistoryUpdated);
+    eventSource.on('sa:owner-changed',       onOwnerChanged);
+    eventSource.on('sa:silentclient-status', renderSilentClientInfo);
+    eventSource.on('sa:stream-state',        onStreamState);
+    eventSource.on('sa:usage-updated',       onUsageUpdated);
+    eventSource.on('sa:approval-requested',  onApprovalRequested);
+    eventSource.on('sa:approval-resolved',   onApprovalResolved);
+    setInterval(renderWindowStatus, WINDOW_STATUS_REFRESH_MS);
+    setInterval(refreshRemoteTimeline, TIMELINE_REFRESH_MS);
 
     // 5. Attach change listeners to every form control inside the panel.
     attachFormListeners();
+    document.getElementById('sa-history-export').addEventListener('click', onExportHistory);
+    document.getElementById('sa-history-clear').addEventListener('click', onClearHistory);
+    document.getElementById('sa-error-resume').addEventListener('click', onResume);
+    document.getElementById('sa-composite-add').addEventListener('click', onAddRule);
+    document.getElementById('sa-composite-rules').addEventListener('click', onRemoveRule);
+    document.getElementById('sa-approval-list').addEventListener('click', onApprovalClick);
+    document.getElementById('sa-run-now').addEventListener('click', onRunNow);
+    document.getElementById('sa-dry-run').addEventListener('click', onDryRun);
+    document.getElementById('sa-export-template').addEventListener('click', exportCurrentSubroutine);
 
     // 6. Initial render (in case we loaded directly into a subroutine chat).
     onChatChanged();
@@ -212,17 +562,78 @@ function populateForm() {
     setVal('sa-cfg-running',            config.running);
     setVal('sa-cfg-triggerType',        config.triggerType);
     setVal('sa-cfg-intervalSeconds',    config.intervalSeconds);
+    setVal('sa-cfg-cronExpression',     config.cronExpression);
+    setVal('sa-cfg-cronTimezone',       config.cronTimezone);
     setVal('sa-cfg-toolName',           config.toolName);
+    setVal('sa-cfg-toolArgs',           config.toolArgs);
+    renderCompositeRules(config.compositeRules);
+    setVal('sa-cfg-upstreamEvent',      config.upstreamEvent);
+    renderUpstreamOptions(config.upstreamChatId);
     setVal('sa-cfg-toolCondition',      config.toolCondition);
+    setVal('sa-cfg-toolConditionMode',  config.toolConditionMode);
+    setVal('sa-cfg-toolConditionPath',  config.toolConditionPath);
+    setVal('sa-cfg-toolConditionNegate', config.toolConditionNegate);
     setVal('sa-cfg-apiUrl',             config.apiUrl);
+    setVal('sa-cfg-apiMode',            config.apiMode);
+    setVal('sa-cfg-apiReconnectMaxSeconds', config.apiReconnectMaxSeconds);
+    setVal('sa-cfg-apiPushTokenParam',  config.apiPushTokenParam);
+    setVal('sa-cfg-payloadPaths',       config.payloadPaths);
+    setVal('sa-cfg-apiMethod',          config.apiMethod);
+    setVal('sa-cfg-apiBody',            config.apiBody);
+    setVal('sa-cfg-apiHeaders',         config.apiHeaders);
+    setVal('sa-cfg-apiAuthToken',       config.apiAuthToken);
+    setVal('sa-cfg-apiAckUrl',          config.apiAckUrl);
+    setVal('sa-cfg-apiAckMethod',       config.apiAckMethod);
+    setVal('sa-cfg-apiAckBody',         config.apiAckBody);
+    setVal('sa-cfg-apiPayloadIdPath',   config.apiPayloadIdPath);
     setVal('sa-cfg-heartbeatMessage',   config.heartbeatMessage);
+    setVal('sa-cfg-maxToolRounds',      config.maxToolRounds);
+    setVal('sa-cfg-toolFilterMode',     config.toolFilterMode);
+    renderToolFilterList(config.toolFilterList);
+    setVal('sa-cfg-approvalTools',      config.approvalTools);
+    setVal('sa-cfg-heartbeatTimeoutSeconds', config.heartbeatTimeoutSeconds);
+    setVal('sa-cfg-maxConsecutiveFailures', config.maxConsecutiveFailures);
+    setVal('sa-cfg-backoffMaxSeconds',  config.backoffMaxSeconds);
     setVal('sa-cfg-autoQueue',          config.autoQueue);
     setVal('sa-cfg-autoQueuePrompt',    config.autoQueuePrompt);
+    setVal('sa-cfg-autoQueueMaxContinuations', config.autoQueueMaxContinuations);
+    setVal('sa-cfg-autoQueueDelaySeconds',     config.autoQueueDelaySeconds);
+    setVal('sa-cfg-autoQueueStallThreshold',   config.autoQueueStallThreshold);
     setVal('sa-cfg-useSummary',         config.useSummary);
     setVal('sa-cfg-useLorebooks',       config.useLorebooks);
     setVal('sa-cfg-useExampleMessages', config.useExampleMessages);
     setVal('sa-cfg-color',              config.color);
+    setVal('sa-cfg-runIn',              config.runIn);
+    setVal('sa-cfg-priority',           config.priority);
+    setVal('sa-cfg-catchUpPolicy',      config.catchUpPolicy);
+    setVal('sa-cfg-catchUpMaxRuns',     config.catchUpMaxRuns);
+    setVal('sa-cfg-tokenBudgetHourly',  config.tokenBudgetHourly);
+    setVal('sa-cfg-tokenBudgetDaily',   config.tokenBudgetDaily);
+    setVal('sa-cfg-tokenBudgetTotal',   config.tokenBudgetTotal);
+    setVal('sa-cfg-windowsEnabled',     config.windowsEnabled);
+    WEEKDAY_NAMES.forEach((_, i) => setVal(`sa-cfg-activeHours-${i}`, config.activeHours[i] ?? '*'));
+    setVal('sa-cfg-blackoutDates',      config.blackoutDates);
+    setVal('sa-cfg-windowTimezone',     config.windowTimezone);
+    setVal('sa-cfg-outsideWindowPolicy', config.outsideWindowPolicy);
+
+    const global = getGlobalSettings();
+    setVal('sa-global-maxConcurrentGenerations', global.maxConcurrentGenerations);
+    setVal('sa-global-tickJitterSeconds',        global.tickJitterSeconds);
+    setVal('sa-global-modelPrices',              global.modelPrices);
+    renderModelPriceErrors();
 
+    renderFinishInfo(config);
+    renderPausedReason(config);
+    renderApprovals(config);
+    // Calls parked before this panel loaded (or in another context) get their toast too.
+    for (const approval of config.pendingApprovals) showApprovalToast(getCurrentChatId(), approval);
+    renderOwner(config);
+    renderSilentClientInfo();
+    renderRunTimes(config);
+    renderUsage(config);
+    renderStreamState();
+    renderToolArgsForm();
+    renderTimeline();
     updateConditionalVisibility();
 }
 
@@ -234,55 +645,1143 @@ function attachFormListeners() {
     $body.addEventListener('change', onFormChange);
 }
 
-async function onFormChange() {
+async function onFormChange(e) {
+    // Global settings don't belong to this chat — don't restart its loop for them.
+    if (e?.target?.closest?.('#sa-global-fields')) {
+        onGlobalSettingsChange();
+        return;
+    }
+
+    // Editing a parked call's arguments isn't a config change.
+    if (e?.target?.closest?.('#sa-approval-queue')) return;
+
+    const before = getSubroutineConfig();
     const config = getSubroutineConfig();
     if (!config) return;   // not a subroutine — ignore
+    const chatId = getCurrentChatId();
+
+    // The generated argument form and the JSON box mirror each other.
+    if (e?.target?.closest?.('#sa-tool-args-form'))                             syncToolArgsFromForm();
+    else if (['sa-cfg-toolName', 'sa-cfg-toolArgs'].includes(e?.target?.id)) renderToolArgsForm();
+
+    // A rule's fields depend on its type.
+    const retypedRule = e?.type === 'change' && e.target?.closest?.('#sa-composite-rules') && e.target.dataset.field === 'type';
 
     // Read every control back into the config object.
+    const wasRunning          = config.running;
     config.running            = getVal('sa-cfg-running');
     config.triggerType        = getVal('sa-cfg-triggerType');
     config.intervalSeconds    = Number(getVal('sa-cfg-intervalSeconds')) || 300;
+    config.cronExpression     = getVal('sa-cfg-cronExpression').trim();
+    config.cronTimezone       = getVal('sa-cfg-cronTimezone').trim();
     config.toolName           = getVal('sa-cfg-toolName');
+    config.toolArgs           = getVal('sa-cfg-toolArgs');
+    config.compositeRules     = readCompositeRules(config.compositeRules);
+    config.upstreamChatId     = getVal('sa-cfg-upstreamChatId');
+    config.upstreamEvent      = getVal('sa-cfg-upstreamEvent');
     config.toolCondition      = getVal('sa-cfg-toolCondition');
+    config.toolConditionPath  = getVal('sa-cfg-toolConditionPath').trim();
+    config.toolConditionNegate = getVal('sa-cfg-toolConditionNegate');
+
+    // A new mode compares differently; don't diff against a result kept for the old one.
+    const conditionMode       = getVal('sa-cfg-toolConditionMode');
+    if (conditionMode !== config.toolConditionMode) config.lastToolResult = null;
+    config.toolConditionMode  = conditionMode;
     config.apiUrl             = getVal('sa-cfg-apiUrl');
+    config.apiMode            = getVal('sa-cfg-apiMode');
+    config.apiReconnectMaxSeconds = Math.max(Number(getVal('sa-cfg-apiReconnectMaxSeconds')) || 60, 1);
+    config.apiPushTokenParam  = getVal('sa-cfg-apiPushTokenParam').trim();
+    config.payloadPaths       = getVal('sa-cfg-payloadPaths');
+    config.apiMethod          = getVal('sa-cfg-apiMethod');
+    config.apiBody            = getVal('sa-cfg-apiBody');
+    config.apiHeaders         = getVal('sa-cfg-apiHeaders');
+    config.apiAuthToken       = getVal('sa-cfg-apiAuthToken').trim();
+    config.apiAckUrl          = getVal('sa-cfg-apiAckUrl').trim();
+    config.apiAckMethod       = getVal('sa-cfg-apiAckMethod');
+    config.apiAckBody         = getVal('sa-cfg-apiAckBody');
+    config.apiPayloadIdPath   = getVal('sa-cfg-apiPayloadIdPath').trim();
     config.heartbeatMessage   = getVal('sa-cfg-heartbeatMessage');
+    config.maxToolRounds      = Number(getVal('sa-cfg-maxToolRounds')) || 8;
+    config.toolFilterMode     = getVal('sa-cfg-toolFilterMode');
+    config.toolFilterList     = [...document.querySelectorAll('#sa-tool-filter-list [data-tool-filter]:checked')]
+        .map(el => el.dataset.toolFilter);
+    config.approvalTools      = getVal('sa-cfg-approvalTools');
+    config.heartbeatTimeoutSeconds = Number(getVal('sa-cfg-heartbeatTimeoutSeconds')) || 300;
+    config.maxConsecutiveFailures = Math.max(Number(getVal('sa-cfg-maxConsecutiveFailures')) || 5, 1);
+    config.backoffMaxSeconds  = Math.max(Number(getVal('sa-cfg-backoffMaxSeconds')) || 3600, 5);
     config.autoQueue          = getVal('sa-cfg-autoQueue');
     config.autoQueuePrompt    = getVal('sa-cfg-autoQueuePrompt');
+    config.autoQueueMaxContinuations = Number(getVal('sa-cfg-autoQueueMaxContinuations')) || 10;
+    config.autoQueueDelaySeconds     = Math.max(Number(getVal('sa-cfg-autoQueueDelaySeconds')) || 0, 0);
+    config.autoQueueStallThreshold   = Math.max(Number(getVal('sa-cfg-autoQueueStallThreshold')) || 3, 2);
     config.useSummary         = getVal('sa-cfg-useSummary');
     config.useLorebooks       = getVal('sa-cfg-useLorebooks');
     config.useExampleMessages = getVal('sa-cfg-useExampleMessages');
     config.color              = getVal('sa-cfg-color');
+    config.runIn              = getVal('sa-cfg-runIn');
+    config.priority           = Number(getVal('sa-cfg-priority')) || 0;
+    config.catchUpPolicy      = getVal('sa-cfg-catchUpPolicy');
+    config.catchUpMaxRuns     = Math.max(Number(getVal('sa-cfg-catchUpMaxRuns')) || 3, 1);
+    config.tokenBudgetHourly  = Math.max(Number(getVal('sa-cfg-tokenBudgetHourly')) || 0, 0);
+    config.tokenBudgetDaily   = Math.max(Number(getVal('sa-cfg-tokenBudgetDaily')) || 0, 0);
+    config.tokenBudgetTotal   = Math.max(Number(getVal('sa-cfg-tokenBudgetTotal')) || 0, 0);
+    config.windowsEnabled     = getVal('sa-cfg-windowsEnabled');
+    config.activeHours        = WEEKDAY_NAMES.map((_, i) => getVal(`sa-cfg-activeHours-${i}`).trim());
+    config.blackoutDates      = getVal('sa-cfg-blackoutDates');
+    config.windowTimezone     = getVal('sa-cfg-windowTimezone').trim();
+    config.outsideWindowPolicy = getVal('sa-cfg-outsideWindowPolicy');
+
+    // Starting again by hand acknowledges whatever made the runtime pause it.
+    if (config.running && !wasRunning) clearPauseState(config);
 
-    // Persist.
-    await setSubroutineConfig(config);
+    // Keystrokes only update the copy in memory, for the previews; the chat
+    // file is written once the edit is committed (change).
+    if (e?.type === 'input') {
+        stageSubroutineConfig(chatId, config);
+        updateConditionalVisibility();
+        return;
+    }
+
+    // Persist the settings, plus the runtime keys this edit touched, onto the
+    // latest config — not the form's copy of lastRunAt, usage and the rest.
+    const patch = Object.fromEntries(Object.entries(config)
+        .filter(([key, value]) => !RUNTIME_CONFIG_KEYS.includes(key) || value !== before[key]));
+    const saved = await updateSubroutineConfig(chatId, patch, { keepRuntime: isLoopRunning(chatId) });
+
+    if (retypedRule) renderCompositeRules(saved.compositeRules);
 
-    // Tell subroutines.js the config changed — it decides whether to start/stop/restart.
+    renderPausedReason(saved);
+    renderUsage(saved);
+
+    // Tell subroutines.js the config changed — it decides whether to start/stop/re-arm.
     const { eventSource } = SillyTavern.getContext();
-    await eventSource.emit('sa:config-changed');
+    await eventSource.emit('sa:config-changed', { chatId });
 
     // Also tell chat-list.js to re-colour this chat.
-    await eventSource.emit('sa:color-changed', { color: config.color });
+    await eventSource.emit('sa:color-changed', { color: saved.color });
 
     updateConditionalVisibility();
 }
 
+function onGlobalSettingsChange() {
+    setGlobalSettings({
+        ...getGlobalSettings(),
+        maxConcurrentGenerations: Math.max(Number(getVal('sa-global-maxConcurrentGenerations')) || 1, 1),
+        tickJitterSeconds:        Math.max(Number(getVal('sa-global-tickJitterSeconds')) || 0, 0),
+        modelPrices:              getVal('sa-global-modelPrices'),
+    });
+    renderModelPriceErrors();
+}
+
+function renderModelPriceErrors() {
+    const $list = document.getElementById('sa-model-price-errors');
+    $list.replaceChildren();
+    try {
+        parseModelPrices(getVal('sa-global-modelPrices'));
+    } catch (e) {
+        const li = document.createElement('li');
+        li.className   = 'sa-cron-error';
+        li.textContent = e.message;
+        $list.append(li);
+    }
+}
+
 // ─── conditional field visibility ────────────────────────────────────────────
 
 function updateConditionalVisibility() {
     const triggerType = getVal('sa-cfg-triggerType');
     const autoQueue   = getVal('sa-cfg-autoQueue');
 
+    const isPush = triggerType === 'api' && getVal('sa-cfg-apiMode') !== 'poll';
+
+    show('sa-interval-fields',   !['cron', 'subroutine'].includes(triggerType) && !isPush);
+    show('sa-cron-fields',       triggerType === 'cron');
     show('sa-tool-fields',       triggerType === 'tool');
+    show('sa-composite-fields',  triggerType === 'composite');
+    show('sa-upstream-fields',   triggerType === 'subroutine');
+    show('sa-tool-condition-value', getVal('sa-cfg-toolConditionMode') !== 'changed');
     show('sa-api-fields',        triggerType === 'api');
+    show('sa-api-push-fields',   isPush);
+    show('sa-api-poll-fields',   triggerType === 'api' && !isPush);
+    show('sa-api-ack-fields',    !!getVal('sa-cfg-apiAckUrl').trim());
+    show('sa-payload-fields',    ['tool', 'api', 'composite', 'subroutine'].includes(triggerType));
     show('sa-autoqueue-fields',  autoQueue);
+    show('sa-catchup-fields',    getVal('sa-cfg-catchUpPolicy') === 'replay');
+    show('sa-window-fields',     getVal('sa-cfg-windowsEnabled'));
+    show('sa-tool-filter-list',  getVal('sa-cfg-toolFilterMode') !== 'all');
+
+    renderRunInNotice();
+
+    if (triggerType === 'cron') renderCronPreview();
+    renderPayloadErrors();
+    renderApiErrors();
+    renderToolConditionErrors();
+    renderToolArgsErrors();
+    renderCompositeErrors();
+    renderWindowStatus();
+    if (triggerType === 'subroutine') renderChainNotice();
+}
+
+// ─── payload paths ───────────────────────────────────────────────────────────
+
+/** Flag path lines that won't parse, so they don't silently fall back to the whole body. */
+function renderPayloadErrors() {
+    const $list = document.getElementById('sa-payload-errors');
+    if (!$list) return;
+
+    $list.replaceChildren();
+    for (const line of getVal('sa-cfg-payloadPaths').split('\n')) {
+        const path = line.includes('=') ? line.slice(line.indexOf('=') + 1) : line;
+        if (!path.trim()) continue;
+        try {
+            parsePath(path);
+        } catch (e) {
+            const li = document.createElement('li');
+            li.className   = 'sa-cron-error';
+            li.textContent = e.message;
+            $list.append(li);
+        }
+    }
+}
+
+// ─── cron preview ────────────────────────────────────────────────────────────
+
+/** List the next few run times, or the parse error, under the cron fields. */
+function renderCronPreview() {
+    const $list = document.getElementById('sa-cron-preview');
+    if (!$list) return;
+
+    const expr     = getVal('sa-cfg-cronExpression');
+    const timezone = getVal('sa-cfg-cronTimezone').trim();
+
+    const item = (text, cls = '') => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        if (cls) li.className = cls;
+        return li;
+    };
+
+    $list.replaceChildren();
+
+    if (!isValidTimezone(timezone)) {
+        $list.append(item(`Unknown timezone "${timezone}".`, 'sa-cron-error'));
+        return;
+    }
+
+    try {
+        const runs = nextCronRuns(expr, timezone, CRON_PREVIEW_COUNT);
+        if (runs.length === 0) {
+            $list.append(item('This schedule never fires.', 'sa-cron-error'));
+            return;
+        }
+        const fmt = { timeZone: timezone || undefined, dateStyle: 'medium', timeStyle: 'short' };
+        for (const run of runs) $list.append(item(run.toLocaleString(undefined, fmt)));
+    } catch (e) {
+        $list.append(item(e.message, 'sa-cron-error'));
+    }
 }
 
 // ─── loop state from subroutines.js ──────────────────────────────────────────
 
-function onLoopState({ running }) {
+function onLoopState({ chatId, running }) {
+    if (chatId && chatId !== getCurrentChatId()) return;   // another subroutine's loop
+
     // Sync the checkbox to match the actual runtime state (in case of external stop).
     const el = document.getElementById('sa-cfg-running');
     if (el) el.checked = running;
+    show('sa-owner-info', running);
+}
+
+// ─── finish summary ──────────────────────────────────────────────────────────
+
+function onSubroutineFinished({ chatId }) {
+    if (chatId !== getCurrentChatId()) return;
+    const config = getSubroutineConfig();
+    if (config) renderFinishInfo(config);
+}
+
+function renderFinishInfo(config) {
+    show('sa-finish-info', !!config.finishedAt);
+    if (!config.finishedAt) return;
+
+    const when = new Date(config.finishedAt).toLocaleString();
+    document.getElementById('sa-finish-meta').textContent    = `${config.finishStatus || 'success'} · ${when}`;
+    document.getElementById('sa-finish-summary').textContent = config.finishSummary || '(no summary)';
+}
+
+// ─── paused notice ───────────────────────────────────────────────────────────
+
+function onSubroutinePaused({ chatId }) {
+    if (chatId !== getCurrentChatId()) return;
+    const config = getSubroutineConfig();
+    if (config) renderPausedReason(config);
+}
+
+function renderPausedReason(config) {
+    const isError = !config.running && config.state === 'error';
+    const reason  = !config.running && !isError && config.pausedReason;
+
+    show('sa-paused-reason', !!reason);
+    if (reason) document.getElementById('sa-paused-reason').textContent = `Paused: ${reason}`;
+
+    show('sa-error-state', isError);
+    if (isError) {
+        const when = config.lastErrorAt ? ` (${new Date(config.lastErrorAt).toLocaleString()})` : '';
+        document.getElementById('sa-error-message').textContent =
+            `Stopped by the circuit breaker${when}: ${config.lastError || 'unknown error'}`;
+    }
+}
+
+/** Resume a subroutine the circuit breaker stopped. */
+async function onResume() {
+    if (!getSubroutineConfig()) return;
+
+    const chatId = getCurrentChatId();
+    const patch  = { running: true };
+    clearPauseState(patch);
+    await updateSubroutineConfig(chatId, patch, { keepRuntime: isLoopRunning(chatId) });
+
+    const { eventSource } = SillyTavern.getContext();
+    await eventSource.emit('sa:config-changed', { chatId });
+
+    populateForm();
+}
+
+// ─── loop owner ──────────────────────────────────────────────────────────────
+
+function onOwnerChanged({ chatId }) {
+    if (chatId !== getCurrentChatId()) return;
+    const config = getSubroutineConfig();
+    if (config) renderOwner(config);
+}
+
+function renderOwner(config) {
+    const $info = document.getElementById('sa-owner-info');
+    if (!$info) return;
+
+    const owner = getLoopOwner(getCurrentChatId()) ?? config.owner;
+    show('sa-owner-info', config.running);
+    $info.textContent = owner
+        ? `Loop runs in ${describeOwner(owner)}.`
+        : 'Loop not claimed by any context yet.';
+}
+
+// ─── SilentClient / runIn ────────────────────────────────────────────────────
+
+function renderSilentClientInfo() {
+    const $info = document.getElementById('sa-silentclient-info');
+    if (!$info) return;
+
+    const status = getSilentClientStatus();
+    if (!status.checked) {
+        $info.textContent = 'Checking for SilentClient…';
+    } else if (!status.installed) {
+        $info.textContent = 'SilentClient not installed — loops stop when this tab closes.';
+    } else {
+        $info.textContent = status.ghosted
+            ? 'SilentClient: this is the ghost browser.'
+            : 'SilentClient: this is a browser tab.';
+    }
+    renderRunInNotice();
+}
+
+/** Warn when the chosen runIn policy means this context will never run the loop. */
+function renderRunInNotice() {
+    const runIn = getVal('sa-cfg-runIn');
+    const blocked = !canRunHere({ runIn });
+
+    show('sa-runin-notice', blocked);
+    if (blocked) {
+        document.getElementById('sa-runin-notice').textContent =
+            `This subroutine runs in ${describeRunIn(runIn)}, so this context will not run it.`;
+    }
+}
+
+// ─── composite rule builder ──────────────────────────────────────────────────
+
+/** Fields shown for each rule type, in order: [field, placeholder]. */
+const RULE_FIELDS = {
+    time: [['everySeconds', 'Every N seconds']],
+    tool: [['toolName', 'Tool name'], ['toolArgs', 'Arguments (JSON)'], ['mode', ''],
+           ['value', 'Value'], ['path', 'Result field (JSON path, optional)'], ['negate', '']],
+    api:  [['apiUrl', 'URL (GET, uses the API headers / token)']],
+};
+
+const DEFAULT_RULE = { connector: 'and', type: 'time', everySeconds: 600 };
+
+function renderCompositeRules(rules) {
+    const $list = document.getElementById('sa-composite-rules');
+    if (!$list) return;
+
+    $list.replaceChildren(...rules.map((rule, index) => {
+        const $row = document.createElement('div');
+        $row.className     = 'sa-composite-rule';
+        $row.dataset.index = String(index);
+
+        const $head = document.createElement('div');
+        $head.className = 'sa-composite-rule-head';
+        if (index > 0) $head.append(ruleSelect('connector', rule.connector, [['and', 'AND'], ['or', 'OR']]));
+        $head.append(ruleSelect('type', rule.type, [['time', 'Every…'], ['tool', 'Tool result'], ['api', 'API pending']]));
+
+        const $remove = document.createElement('button');
+        $remove.type           = 'button';
+        $remove.className      = 'sa-btn sa-btn-sm';
+        $remove.dataset.action = 'remove';
+        $remove.textContent    = 'Remove';
+        $head.append($remove);
+        $row.append($head);
+
+        for (const [field, placeholder] of RULE_FIELDS[rule.type] ?? []) {
+            $row.append(ruleField(field, rule[field], placeholder));
+        }
+        return $row;
+    }));
+}
+
+function ruleField(field, value, placeholder) {
+    if (field === 'mode') {
+        // Same labels as the single tool trigger's condition select.
+        const labels = [...document.getElementById('sa-cfg-toolConditionMode').options].map(o => [o.value, o.text]);
+        return ruleSelect('mode', value ?? 'substring', labels.filter(([v]) => CONDITION_MODES.includes(v)));
+    }
+    if (field === 'negate') {
+        const $label = document.createElement('label');
+        $label.className = 'sa-label sa-label-row';
+        const $box = document.createElement('input');
+        $box.type          = 'checkbox';
+        $box.className     = 'sa-checkbox';
+        $box.dataset.field = 'negate';
+        $box.checked       = !!value;
+        const $text = document.createElement('span');
+        $text.textContent = 'Negate';
+        $label.append($box, $text);
+        return $label;
+    }
+
+    const $input = document.createElement('input');
+    $input.type          = field === 'everySeconds' ? 'number' : 'text';
+    if (field === 'everySeconds') $input.min = String(MIN_INTERVAL_SECONDS);
+    $input.className     = 'sa-input';
+    $input.dataset.field = field;
+    $input.placeholder   = placeholder;
+    $input.value         = value ?? '';
+    return $input;
+}
+
+function ruleSelect(field, value, options) {
+    const $select = document.createElement('select');
+    $select.className     = 'sa-select';
+    $select.dataset.field = field;
+    for (const [optionValue, text] of options) {
+        const $option = document.createElement('option');
+        $option.value       = optionValue;
+        $option.textContent = text;
+        $select.append($option);
+    }
+    $select.value = value ?? options[0][0];
+    return $select;
+}
+
+/**
+ * Read the rule rows back into rule objects.  A tool rule keeps its stored
+ * lastResult only while it still polls the same thing the same way.
+ * @param {CompositeRule[]} previous
+ * @returns {CompositeRule[]}
+ */
+function readCompositeRules(previous = []) {
+    return [...document.querySelectorAll('#sa-composite-rules .sa-composite-rule')].map(($row, index) => {
+        const rule = { connector: 'and' };
+        for (const $el of $row.querySelectorAll('[data-field]')) {
+            rule[$el.dataset.field] = $el.type === 'checkbox' ? $el.checked : $el.value;
+        }
+        if (rule.type === 'time') rule.everySeconds = Math.max(Number(rule.everySeconds) || 0, 0);
+
+        const old  = previous[index];
+        const same = old && ['type', 'toolName', 'toolArgs', 'mode', 'path'].every(k => old[k] === rule[k]);
+        rule.lastResult = same ? (old.lastResult ?? null) : null;
+        return rule;
+    });
+}
+
+async function onAddRule() {
+    const config = getSubroutineConfig();
+    if (!config) return;
+
+    renderCompositeRules([...readCompositeRules(config.compositeRules), { ...DEFAULT_RULE }]);
+    await onFormChange();
+}
+
+async function onRemoveRule(e) {
+    const $row = e.target.closest('[data-action="remove"]')?.closest('.sa-composite-rule');
+    if (!$row) return;
+
+    $row.remove();
+    await onFormChange();
+    // Re-render so the new first rule loses its connector.
+    const config = getSubroutineConfig();
+    if (config) renderCompositeRules(config.compositeRules);
+}
+
+function renderCompositeErrors() {
+    const $list = document.getElementById('sa-composite-errors');
+    if (!$list) return;
+
+    const problems = [];
+    const rules    = getVal('sa-cfg-triggerType') === 'composite' ? readCompositeRules() : [];
+    if (getVal('sa-cfg-triggerType') === 'composite' && rules.length === 0) problems.push('Add at least one rule.');
+
+    rules.forEach((rule, i) => {
+        const n = i + 1;
+        if (rule.type === 'time' && !(rule.everySeconds >= MIN_INTERVAL_SECONDS)) {
+            problems.push(`Rule ${n}: the interval must be at least ${MIN_INTERVAL_SECONDS} seconds.`);
+        }
+        if (rule.type === 'api' && !rule.apiUrl.trim())       problems.push(`Rule ${n}: URL is empty.`);
+        if (rule.type === 'tool') {
+            if (!rule.toolName.trim()) problems.push(`Rule ${n}: tool name is empty.`);
+            try {
+                parseToolArgs(rule.toolArgs);
+            } catch (err) {
+                problems.push(`Rule ${n}: ${err.message}`);
+            }
+            const problem = validateCondition({ mode: rule.mode, value: rule.value, path: rule.path.trim() });
+            if (problem) problems.push(`Rule ${n}: ${problem}`);
+        }
+    });
+
+    $list.replaceChildren();
+    for (const message of problems) {
+        const li = document.createElement('li');
+        li.className   = 'sa-cron-error';
+        li.textContent = message;
+        $list.append(li);
+    }
+}
+
+// ─── chained subroutines ─────────────────────────────────────────────────────
+
+/**
+ * List the other subroutines as possible upstreams.  Only configs the runtime
+ * already knows (scanned at startup, or opened since) are offered, so this
+ * doesn't load every chat file.
+ */
+async function renderUpstreamOptions(selected) {
+    const $select = document.getElementById('sa-cfg-upstreamChatId');
+    if (!$select) return;
+
+    let chatIds = [];
+    try {
+        const { getChats } = SillyTavern.getContext();
+        chatIds = (await getChats()).map(c => c.file_name)
+            .filter(id => id !== getCurrentChatId() && getSubroutineConfig(id));
+    } catch (e) {
+        log('Could not list chats for upstream selection:', e);
+    }
+    if (selected && !chatIds.includes(selected)) chatIds.unshift(selected);
+
+    const $none = document.createElement('option');
+    $none.value       = '';
+    $none.textContent = '(choose a subroutine)';
+    $select.replaceChildren($none, ...chatIds.map(id => {
+        const $option = document.createElement('option');
+        $option.value       = id;
+        $option.textContent = id;
+        return $option;
+    }));
+    $select.value = selected ?? '';
+    renderChainNotice();
+}
+
+async function renderChainNotice() {
+    const chatId   = getCurrentChatId();
+    const upstream = getVal('sa-cfg-upstreamChatId');
+    const cycle    = chatId && upstream ? await findChainCycle(chatId, upstream) : null;
+
+    show('sa-chain-notice', !!cycle);
+    if (cycle) {
+        document.getElementById('sa-chain-notice').textContent =
+            `This creates a loop (${cycle.join(' → ')}); the runtime will pause it instead of firing.`;
+    }
+}
+
+// ─── tool arguments ──────────────────────────────────────────────────────────
+
+/**
+ * Build one input per parameter of the selected tool's schema, filled from
+ * the JSON box.  Text inputs everywhere (not number/checkbox) so any value
+ * can hold a macro.
+ */
+function renderToolArgsForm() {
+    const $form = document.getElementById('sa-tool-args-form');
+    if (!$form) return;
+    $form.replaceChildren();
+
+    const schema = getToolSchema(getVal('sa-cfg-toolName').trim());
+    let args;
+    try {
+        args = parseToolArgs(getVal('sa-cfg-toolArgs'));
+    } catch {
+        return;   // the JSON box is mid-edit; errors are listed below it
+    }
+
+    const required = schema?.required ?? [];
+    for (const [key, prop] of Object.entries(schema?.properties ?? {})) {
+        const $label = document.createElement('label');
+        $label.className   = 'sa-label';
+        $label.textContent = required.includes(key) ? `${key} *` : key;
+        $label.title       = prop.description ?? '';
+
+        const $input = prop.enum || prop.type === 'boolean'
+            ? buildArgSelect(prop.enum ?? [true, false])
+            : document.createElement('input');
+        $input.classList.add(prop.enum || prop.type === 'boolean' ? 'sa-select' : 'sa-input');
+        $input.dataset.arg  = key;
+        $input.dataset.type = prop.type ?? '';
+        $input.placeholder  = prop.description ?? '';
+        $input.value        = key in args ? formatArgValue(args[key]) : '';
+
+        $form.append($label, $input);
+    }
+}
+
+function buildArgSelect(values) {
+    const $select = document.createElement('select');
+    for (const value of ['', ...values]) {
+        const $option = document.createElement('option');
+        $option.value       = value === '' ? '' : formatArgValue(value);
+        $option.textContent = value === '' ? '(not set)' : formatArgValue(value);
+        $select.append($option);
+    }
+    return $select;
+}
+
+function formatArgValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/** Write the generated form back into the JSON box, keeping keys the form doesn't know. */
+function syncToolArgsFromForm() {
+    let args;
+    try {
+        args = parseToolArgs(getVal('sa-cfg-toolArgs'));
+    } catch {
+        args = {};
+    }
+
+    for (const $input of document.querySelectorAll('#sa-tool-args-form [data-arg]')) {
+        const { arg, type } = $input.dataset;
+        const raw = $input.value;
+        if (raw === '') {
+            delete args[arg];
+        } else if (type === 'string' || raw.includes('{{')) {
+            args[arg] = raw;
+        } else {
+            // Numbers, booleans, arrays, objects and non-string enums are typed as JSON.
+            try {
+                args[arg] = JSON.parse(raw);
+            } catch {
+                args[arg] = raw;
+            }
+        }
+    }
+
+    setVal('sa-cfg-toolArgs', JSON.stringify(args, null, 2));
+}
+
+function renderToolArgsErrors() {
+    const $list = document.getElementById('sa-tool-args-errors');
+    if (!$list) return;
+
+    const toolName = getVal('sa-cfg-toolName').trim();
+    const schema   = getToolSchema(toolName);
+    const problems = [];
+    try {
+        problems.push(...validateToolArgs(parseToolArgs(getVal('sa-cfg-toolArgs')), schema));
+    } catch (e) {
+        problems.push(e.message);
+    }
+    if (toolName && !schema) problems.push(`Tool "${toolName}" isn't registered here, so its arguments can't be checked.`);
+
+    $list.replaceChildren();
+    for (const message of problems) {
+        const li = document.createElement('li');
+        li.className   = 'sa-cron-error';
+        li.textContent = message;
+        $list.append(li);
+    }
+}
+
+// ─── tool condition ──────────────────────────────────────────────────────────
+
+function renderToolConditionErrors() {
+    const $list = document.getElementById('sa-tool-condition-errors');
+    if (!$list) return;
+
+    const problem = validateCondition({
+        mode:  getVal('sa-cfg-toolConditionMode'),
+        value: getVal('sa-cfg-toolCondition'),
+        path:  getVal('sa-cfg-toolConditionPath').trim(),
+    });
+
+    $list.replaceChildren();
+    if (problem) {
+        const li = document.createElement('li');
+        li.className   = 'sa-cron-error';
+        li.textContent = problem;
+        $list.append(li);
+    }
+}
+
+// ─── API request settings ────────────────────────────────────────────────────
+
+function renderApiErrors() {
+    const $list = document.getElementById('sa-api-errors');
+    if (!$list) return;
+
+    $list.replaceChildren();
+    const errors = [];
+    try {
+        parseHeaders(getVal('sa-cfg-apiHeaders'));
+    } catch (e) {
+        errors.push(e.message);
+    }
+    const idPath = getVal('sa-cfg-apiPayloadIdPath').trim();
+    if (getVal('sa-cfg-apiAckUrl').trim() && idPath) {
+        try {
+            parsePath(idPath);
+        } catch (e) {
+            errors.push(`Payload ID path: ${e.message}`);
+        }
+    }
+
+    for (const message of errors) {
+        const li = document.createElement('li');
+        li.className   = 'sa-cron-error';
+        li.textContent = message;
+        $list.append(li);
+    }
+
+    // Push connections can't carry everything a poll sends.
+    if (getVal('sa-cfg-apiMode') === 'poll') return;
+    const warnings = pushAuthWarnings({
+        apiHeaders:        getVal('sa-cfg-apiHeaders'),
+        apiAuthToken:      getVal('sa-cfg-apiAuthToken').trim(),
+        apiPushTokenParam: getVal('sa-cfg-apiPushTokenParam'),
+    });
+    for (const message of warnings) {
+        const li = document.createElement('li');
+        li.className   = 'sa-cron-warning';
+        li.textContent = message;
+        $list.append(li);
+    }
+}
+
+// ─── tool allow / deny list ──────────────────────────────────────────────────
+
+/**
+ * A checkbox per tool in the live ToolManager registry.  Checked names that
+ * aren't registered right now (extension disabled, not loaded yet) stay in
+ * the list, marked, so saving the form doesn't silently drop them.
+ * @param {string[]} selected
+ */
+function renderToolFilterList(selected) {
+    const { ToolManager } = SillyTavern.getContext();
+    const registered = (ToolManager?.tools ?? ToolManager?.instance?.tools ?? []).map(getToolName).filter(Boolean);
+    const names      = [...new Set([...registered, ...selected])].sort();
+
+    const $list = document.getElementById('sa-tool-filter-list');
+    if (names.length === 0) {
+        $list.textContent = 'No tools are registered.';
+        return;
+    }
+
+    $list.replaceChildren(...names.map(name => {
+        const $row = document.createElement('label');
+        $row.className = 'sa-label sa-label-row';
+
+        const $box = document.createElement('input');
+        $box.type      = 'checkbox';
+        $box.className = 'sa-checkbox';
+        $box.checked   = selected.includes(name);
+        $box.dataset.toolFilter = name;
+
+        const $name = document.createElement('span');
+        $name.textContent = registered.includes(name) ? name : `${name} (not registered)`;
+
+        $row.append($box, $name);
+        return $row;
+    }));
+}
+
+// ─── run now / dry run ───────────────────────────────────────────────────────
+
+async function onRunNow() {
+    const $btn = document.getElementById('sa-run-now');
+    $btn.disabled = true;
+    try {
+        toastr.info('Running a tick now — see the run history for the outcome.');
+        if (!(await runNow(getCurrentChatId()))) toastr.warning('A tick is already queued or running.');
+    } finally {
+        $btn.disabled = false;
+    }
+}
+
+async function onDryRun() {
+    const $btn = document.getElementById('sa-dry-run');
+    $btn.disabled = true;
+    try {
+        const trace = await dryRun(getCurrentChatId());
+        const { Popup } = SillyTavern.getContext();
+        await Popup.show.text('Dry Run', renderTrace(trace).outerHTML);
+    } catch (e) {
+        toastr.error(e.message, 'Dry run failed');
+    } finally {
+        $btn.disabled = false;
+    }
+}
+
+/**
+ * @param {import('./subroutines.js').DryRunTrace} trace
+ * @returns {HTMLElement}
+ */
+function renderTrace(trace) {
+    const $trace = document.createElement('div');
+    $trace.className = 'sa-trace';
+
+    const section = (title, text) => {
+        const $title = document.createElement('h4');
+        $title.textContent = title;
+        const $text = document.createElement('pre');
+        $text.className   = 'sa-history-detail';
+        $text.textContent = text;
+        $trace.append($title, $text);
+    };
+
+    section('Trigger', [
+        `${trace.triggerType}: ${trace.fired ? 'would fire' : 'would not fire'}`,
+        trace.note,
+        trace.error && `Error: ${trace.error}`,
+        trace.poll && `Saw:\n${trace.poll}`,
+    ].filter(Boolean).join('\n'));
+    if (!trace.fired || trace.messages.length === 0) return $trace;
+
+    if (trace.payload) section('{{triggerPayload}}', trace.payload);
+    section(`Prompt (${trace.messages.length} messages)`,
+        trace.messages.map(m => `[${m.role}]\n${m.content}`).join('\n\n'));
+    section(`Tools Offered (${trace.tools.length})`, trace.tools.join(', ') || 'none');
+    section('Reply', trace.reply || '(no text)');
+    section('Planned Tool Calls (not run)', trace.toolCalls.length
+        ? trace.toolCalls.map(c => `${c.name} ${JSON.stringify(c.arguments, null, 2)}`).join('\n\n')
+        : 'none');
+    section('Tokens (not counted towards the budget)', String(trace.tokens));
+    return $trace;
+}
+
+// ─── approvals ───────────────────────────────────────────────────────────────
+
+function onApprovalRequested({ chatId, approval }) {
+    showApprovalToast(chatId, approval);
+    if (chatId !== getCurrentChatId()) return;
+    const config = getSubroutineConfig();
+    if (config) renderApprovals(config);
+}
+
+function onApprovalResolved({ chatId, approvalId }) {
+    const $toast = _approvalToasts.get(approvalId);
+    if ($toast) toastr.clear($toast);
+    _approvalToasts.delete(approvalId);
+
+    if (chatId !== getCurrentChatId()) return;
+    const config = getSubroutineConfig();
+    if (config) renderApprovals(config);
+}
+
+/** One card per parked call: editable arguments, a rejection reason, approve / reject. */
+function renderApprovals(config) {
+    const $list = document.getElementById('sa-approval-list');
+    show('sa-approval-queue', config.pendingApprovals.length > 0);
+
+    $list.replaceChildren(...config.pendingApprovals.map(approval => {
+        const $item = document.createElement('div');
+        $item.className = 'sa-approval';
+        $item.dataset.approvalId = approval.id;
+
+        const $head = document.createElement('div');
+        $head.className   = 'sa-approval-head';
+        $head.textContent = `${approval.name} · ${new Date(approval.requestedAt).toLocaleString()}`;
+
+        const $args = document.createElement('textarea');
+        $args.className = 'sa-textarea';
+        $args.rows      = 3;
+        $args.value     = approval.arguments;
+        $args.title     = 'Edit the arguments before approving, if needed';
+
+        const $note = document.createElement('input');
+        $note.type        = 'text';
+        $note.className   = 'sa-input';
+        $note.placeholder = 'Reason for rejecting (optional, passed to the model)';
+
+        const $buttons = document.createElement('div');
+        $buttons.className = 'sa-approval-buttons';
+        $buttons.append(approvalButton('approve', 'Approve'), approvalButton('reject', 'Reject'));
+
+        $item.append($head, $args, $note, $buttons);
+        return $item;
+    }));
+}
+
+function approvalButton(action, label) {
+    const $btn = document.createElement('button');
+    $btn.type      = 'button';
+    $btn.className = `sa-btn sa-btn-sm${action === 'reject' ? ' sa-btn-delete' : ''}`;
+    $btn.textContent = label;
+    $btn.dataset.approvalAction = action;
+    return $btn;
+}
+
+async function onApprovalClick(e) {
+    const $btn = e.target.closest('[data-approval-action]');
+    if (!$btn) return;
+
+    const $item    = $btn.closest('[data-approval-id]');
+    const approval = getSubroutineConfig()?.pendingApprovals.find(a => a.id === $item.dataset.approvalId);
+    if (!approval) return;
+
+    const options = {};
+    if ($btn.dataset.approvalAction === 'approve') {
+        const text = $item.querySelector('textarea').value;
+        if (text.trim() !== approval.arguments.trim()) {
+            try {
+                options.args = parseToolArgs(text);
+            } catch (err) {
+                toastr.error(err.message, 'Cannot approve');
+                return;
+            }
+        }
+    } else {
+        options.note = $item.querySelector('input').value.trim();
+    }
+
+    $item.querySelectorAll('button').forEach(b => { b.disabled = true; });
+    await resolveApproval(getCurrentChatId(), approval.id, $btn.dataset.approvalAction, options);
+}
+
+/**
+ * Sticky toast with approve / reject buttons, so a call can be decided from
+ * any chat.  Editing the arguments needs the subroutine's panel.  One per
+ * call: a call announced again (panel reload, another context) is skipped.
+ */
+function showApprovalToast(chatId, approval) {
+    if (_approvalToasts.has(approval.id)) return;
+
+    const args = approval.arguments.length > APPROVAL_TOAST_ARGS_CHARS
+        ? `${approval.arguments.slice(0, APPROVAL_TOAST_ARGS_CHARS)}…`
+        : approval.arguments;
+
+    const $message = document.createElement('div');
+    const $args    = document.createElement('div');
+    $args.className   = 'sa-approval-toast-args';
+    $args.textContent = `${approval.name}(${args})`;
+
+    const $buttons = document.createElement('div');
+    $buttons.className = 'sa-approval-buttons';
+    for (const action of ['approve', 'reject']) {
+        const $btn = approvalButton(action, action === 'approve' ? 'Approve' : 'Reject');
+        $btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            $buttons.querySelectorAll('button').forEach(b => { b.disabled = true; });
+            resolveApproval(chatId, approval.id, action);
+        });
+        $buttons.append($btn);
+    }
+    $message.append($args, $buttons);
+
+    const $toast = toastr.info($message, `Approve tool call? — ${chatId}`, {
+        timeOut: 0, extendedTimeOut: 0, tapToDismiss: false, closeButton: true, escapeHtml: false,
+    });
+    _approvalToasts.set(approval.id, $toast);
+}
+
+// ─── token usage ─────────────────────────────────────────────────────────────
+
+function onUsageUpdated({ chatId }) {
+    if (chatId !== getCurrentChatId()) return;
+    const config = getSubroutineConfig();
+    if (config) renderUsage(config);
+}
+
+/** Usage against each cap, plus a bar for whichever cap is closest to full. */
+function renderUsage(config) {
+    const used = currentUsage(config.usage);
+    const part = (label, n, cap) => `${label}: ${formatTokens(n)}${cap > 0 ? ` / ${formatTokens(cap)}` : ''}`;
+
+    document.getElementById('sa-usage-info').textContent = [
+        part('This hour', used.hour,  config.tokenBudgetHourly),
+        part('Today',     used.day,   config.tokenBudgetDaily),
+        part('Total',     used.total, config.tokenBudgetTotal),
+        used.cost > 0 ? `≈ ${used.cost.toFixed(2)} spent` : null,
+    ].filter(Boolean).join(' · ');
+
+    const fill  = budgetFill(config);
+    const $fill = document.getElementById('sa-usage-fill');
+    $fill.style.width = `${Math.round((fill ?? 0) * 100)}%`;
+    $fill.classList.toggle('sa-usage-full', fill !== null && fill >= 1);
+    show('sa-usage-bar', fill !== null);
+}
+
+// ─── active hours ────────────────────────────────────────────────────────────
+
+/** List problems with the windows, or say whether the subroutine is awake / sleeping until when. */
+function renderWindowStatus() {
+    const $list   = document.getElementById('sa-window-errors');
+    const $status = document.getElementById('sa-window-status');
+    const config  = getSubroutineConfig();
+    if (!$list || !config?.windowsEnabled) return;
+
+    $list.replaceChildren(...validateWindows(config).map(problem => {
+        const li = document.createElement('li');
+        li.className   = 'sa-cron-error';
+        li.textContent = problem;
+        return li;
+    }));
+    if ($list.childElementCount > 0) {
+        $status.textContent = '';
+        return;
+    }
+
+    const windows = compileWindows(config);
+    if (isActiveAt(windows)) {
+        $status.textContent = 'Awake — inside active hours.';
+        return;
+    }
+    const opensAt = nextActiveTime(windows);
+    const fmt     = { timeZone: windows.timezone, dateStyle: 'medium', timeStyle: 'short' };
+    $status.textContent = opensAt
+        ? `Sleeping until ${opensAt.toLocaleString(undefined, fmt)}.`
+        : 'Sleeping — the active hours never open again.';
+}
+
+// ─── push connection state ───────────────────────────────────────────────────
+
+function onStreamState({ chatId }) {
+    if (chatId === getCurrentChatId()) renderStreamState();
+}
+
+function renderStreamState() {
+    const $info = document.getElementById('sa-stream-state');
+    if (!$info) return;
+
+    const { state, error } = getStreamState(getCurrentChatId());
+    $info.textContent = STREAM_STATE_LABELS[state] + (error && state !== 'open' ? ` (${error})` : '');
+}
+
+// ─── run history timeline ────────────────────────────────────────────────────
+
+function onHistoryUpdated({ chatId }) {
+    if (chatId !== getCurrentChatId()) return;
+
+    const config = getSubroutineConfig();
+    if (config) renderRunTimes(config);
+    renderTimeline();
+}
+
+function renderRunTimes(config) {
+    const fmt  = iso => iso ? new Date(iso).toLocaleString() : 'never';
+    const next = config.running ? fmt(config.nextRunAt) : 'not running';
+    document.getElementById('sa-run-times').textContent = `Last run: ${fmt(config.lastRunAt)} · Next run: ${next}`;
+}
+
+function refreshRemoteTimeline() {
+    const chatId = getCurrentChatId();
+    if (!$panel.classList.contains('sa-panel-open') || !isCurrentChatSubroutine()) return;
+    const owner = getLoopOwner(chatId);
+    if (owner && owner.contextId !== getContextId()) renderTimeline();
+}
+
+async function renderTimeline() {
+    const $list  = document.getElementById('sa-history-list');
+    const chatId = getCurrentChatId();
+    if (!$list || !chatId) return;
+
+    let records;
+    try {
+        records = (await getRunHistory(chatId)).slice(-TIMELINE_LENGTH).reverse();
+    } catch (e) {
+        const failed = document.createElement('li');
+        failed.className   = 'sa-history-empty';
+        failed.textContent = e.message;
+        $list.replaceChildren(failed);
+        return;
+    }
+    $list.replaceChildren(...records.map(renderRunItem));
+
+    if (records.length === 0) {
+        const empty = document.createElement('li');
+        empty.className   = 'sa-history-empty';
+        empty.textContent = 'No runs recorded yet.';
+        $list.append(empty);
+    }
+}
+
+/** One timeline entry: a one-line summary that expands into the full record. */
+function renderRunItem(run) {
+    const li = document.createElement('li');
+    li.className = 'sa-history-item'
+        + (run.fired ? ' sa-history-fired' : '')
+        + (run.errors.length ? ' sa-history-error' : '');
+
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = [
+        new Date(run.tickAt).toLocaleString(),
+        run.triggerType,
+        run.fired ? 'fired' : 'idle',
+        run.toolCalls.length ? `${run.toolCalls.length} tool call(s)` : null,
+        run.generations ? `${(run.generationMs / 1000).toFixed(1)} s gen` : null,
+        run.tokens ? `${formatTokens(run.tokens)} tok` : null,
+        run.errors.length ? `⚠ ${run.errors.length} error(s)` : null,
+    ].filter(Boolean).join(' · ');
+    details.append(summary);
+
+    const body = document.createElement('pre');
+    body.className   = 'sa-history-detail';
+    body.textContent = JSON.stringify({
+        poll:      run.poll,
+        toolCalls: run.toolCalls,
+        errors:    run.errors,
+        durationMs: run.durationMs,
+    }, null, 2);
+    details.append(body);
+
+    li.append(details);
+    return li;
+}
+
+async function onExportHistory() {
+    const chatId = getCurrentChatId();
+    if (!chatId) return;
+
+    const records = await getRunHistory(chatId);
+    if (records.length === 0) {
+        toastr.info('No run history to export yet.');
+        return;
+    }
+
+    const blob = new Blob([runHistoryToJsonl(records)], { type: 'application/x-ndjson' });
+    const url  = URL.createObjectURL(blob);
+    const a    = document.createElement('a');
+    a.href     = url;
+    a.download = `${chatId.replace(/[^a-z0-9]/gi, '_')}.history.jsonl`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+async function onClearHistory() {
+    const chatId = getCurrentChatId();
+    if (!chatId) return;
+
+    const { Popup } = SillyTavern.getContext();
+    const confirmed = await Popup.show.confirm('Clear Run History', 'Delete the recorded run history for this subroutine?');
+    if (confirmed) await clearRunHistory(chatId);
 }
 
 // ─── DOM helpers ─────────────────────────────────────────────────────────────
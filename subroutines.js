@@ -3,28 +3,130 @@
  *
  * Responsibilities:
  *   • Manage the setInterval loop for the active subroutine (if any).
- *   • Evaluate triggers (time / tool / api) on each tick.
- *   • Inject heartbeat messages and kick off generation.
- *   • Implement auto-queue: re-prompt if the model didn't call a tool.
+ *   • Schedule cron-triggered subroutines with a self-rearming setTimeout.
+ *   • Evaluate triggers (time / cron / tool / api / composite) on each tick.
+ *   • Send API polls with the configured method / headers / auth / body, and
+ *     acknowledge the consumed item to the source after a successful heartbeat.
+ *   • For push-mode API triggers (SSE / WebSocket, see api-stream.js), fire a
+ *     heartbeat for every event that arrives instead of polling.
+ *   • Chain subroutines: announce each subroutine's output (finish summary,
+ *     assistant replies) and fire downstream subroutines that wait on it,
+ *     refusing chains that loop back on themselves.
+ *   • Inject heartbeat messages and kick off generation, with the payload
+ *     that fired a tool/API trigger available as {{triggerPayload}}.
+ *   • Implement auto-queue: keep re-prompting until the model calls finish,
+ *     within a continuation budget, pausing on stalls.
+ *   • Register the "finish" function tool that ends an auto-queue subroutine.
+ *   • Record every tick in the run history (history.js).
+ *   • Back off exponentially after failures and trip a circuit breaker that
+ *     auto-pauses the subroutine in an `error` state.
+ *   • Only tick loops this browser context owns (leader.js), so a subroutine
+ *     never fires from two tabs or from a tab and the ghost browser at once.
+ *   • Hand due ticks to the global scheduler (scheduler.js) with a little
+ *     jitter, instead of running them straight from their timers.
+ *   • Persist lastRunAt / nextRunAt and apply each subroutine's catch-up
+ *     policy for runs missed while the loop was down (startup, tab wake).
+ *   • Keep ticks inside the subroutine's active hours (windows.js): outside
+ *     them, skip the tick or defer it until the windows open again.
+ *   • Count the tokens (and estimated cost) of every generation against the
+ *     subroutine's hourly / daily / total caps (budget.js), pausing it once
+ *     a cap is reached.
+ *   • "Run now" a tick on demand, and dry-run one: evaluate the trigger and
+ *     generate a reply without writing to the chat or running tools,
+ *     returning a trace of what would have been sent and done.
+ *   • Offer the model only the tools the subroutine's allow/deny list permits,
+ *     and refuse calls to any tool that wasn't offered.
+ *   • Park calls to tools that need approval, hold the loop until the user
+ *     approves (optionally with edited arguments) or rejects each one, then
+ *     hand the outcome back to the model as the tool result.
+ *   • Keep parked calls in step across contexts through the chat file: a
+ *     context standing by announces calls the owner parked, and the owner
+ *     resumes its loop when they were decided in another context.
  *
  * Communication contract:
  *   LISTENS FOR (custom events via eventSource):
  *     sa:config-changed   — panel or chat-list told us config was written; restart loop if needed.
- *     sa:subroutine-created — chat-list created a new subroutine; switch into it.
+ *     sa:subroutine-created — { chatId } chat-list created a new subroutine; start its loop if running.
+ *     sa:subroutine-output  — an upstream subroutine produced output; fire its downstreams.
  *   EMITS:
  *     sa:loop-state        — { running: bool } — panel listens to update its toggle UI.
+ *     sa:subroutine-finished — { chatId, summary, status } — the finish tool ended a subroutine.
+ *     sa:subroutine-paused   — { chatId, reason } — the runtime stopped a subroutine on its own.
+ *     sa:subroutine-output   — { chatId, kind, output, chain } — a subroutine finished ('finish')
+ *                              or replied ('message'); chain lists the upstreams that led to it.
+ *     sa:usage-updated       — { chatId } — a generation's tokens were added to the usage counters.
+ *     sa:approval-requested  — { chatId, approval } — a tool call was parked for the user to decide on.
+ *     sa:approval-resolved   — { chatId, approvalId, decision } — the user approved or rejected it
+ *                              (decision null when it was decided in another context).
  */
 
-import { getSubroutineConfig, isCurrentChatSubroutine, log, logError, logWarn, logDebug } from './utils.js';
-import { generateFromChatId } from './gen.js';
+import {
+    getSubroutineConfig, loadSubroutineConfig, saveSubroutineConfig, stageSubroutineConfig, updateSubroutineConfig,
+    getCurrentChatId, getGlobalSettings,
+    log, logError, logWarn, logDebug,
+} from './utils.js';
+import { generateFromChatId, selectTools, getToolName } from './gen.js';
+import { nextCronRun, nextCronRuns } from './cron.js';
+import { createRunRecord, appendRunRecord, truncateForHistory } from './history.js';
+import { ensureLease, releaseLease, holdsLease, getLoopOwner } from './leader.js';
+import { enqueueTick, cancelTicks } from './scheduler.js';
+import { openStream, closeStream } from './api-stream.js';
+import { extractPayload, parsePayload, getByPath } from './payload.js';
+import { buildRequestInit, fillAckTemplate, looksLikeJson } from './api-request.js';
+import { evaluateCondition, splitOrGroups } from './conditions.js';
+import { getToolSchema, parseToolArgs, validateToolArgs, resolveToolArgs } from './tool-args.js';
+import { setTriggerPayload, getTriggerPayload } from './macros.js';
+import { compileWindows, isActiveAt, nextActiveTime } from './windows.js';
+import { readUsage, addUsage, checkBudget, parseModelPrices, estimateCost } from './budget.js';
+import { MIN_INTERVAL_SECONDS } from './failsafes.js';
 
-// NOTE: getSubroutineConfig now takes chatId parameter: getSubroutineConfig(chatId)
+/** Name of the function tool auto-queue subroutines call to end their task. */
+export const FINISH_TOOL_NAME = 'finish';
+
+// Resolved here rather than by ST's macro engine: background chats aren't the
+// open chat, so the registered macro would see the wrong payload.
+const TRIGGER_PAYLOAD_MACRO = /\{\{triggerPayload\}\}/gi;
 
 // ─── state ───────────────────────────────────────────────────────────────────
 
-// Map of chatId -> { intervalId, isGenerating }
+// Map of chatId -> { intervalId, timeoutId, isGenerating, failures, backoffUntil, pendingEvents, ruleTimes, startedAt, chain,
+//                    deferred, armedWith }
+// intervalId is used by interval-based triggers, timeoutId by cron triggers.
+// failures counts consecutive failed ticks; ticks before backoffUntil are skipped.
+// pendingEvents holds pushed API events / upstream outputs waiting for their tick.
+// chain is the upstream chain of the tick in progress, passed on with its output.
+// ruleTimes maps a composite trigger's time-rule index -> when it last held.
+// deferred holds a tick waiting for the active-hours window to open.
+// armedWith is armSignature() of the config the timers / stream were armed from.
 const _runningLoops = new Map();
 
+// setTimeout silently overflows past ~24.8 days; longer cron gaps re-arm in hops.
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Sleep detection: a watchdog ticks every WAKE_CHECK_MS; a gap much longer than
+// that (background-tab throttling stays well under WAKE_GAP_MS) means the
+// machine or tab was asleep and timers didn't run.
+const WAKE_CHECK_MS = 15_000;
+const WAKE_GAP_MS   = 120_000;
+let   _lastWakeCheck = Date.now();
+
+// Config keys armLoop() depends on; changing any other key needs no re-arm,
+// since every tick re-reads the config.
+const ARM_KEYS = [
+    'triggerType', 'intervalSeconds', 'cronExpression', 'cronTimezone',
+    'apiMode', 'apiUrl', 'apiReconnectMaxSeconds', 'apiAuthToken', 'apiPushTokenParam', 'upstreamChatId',
+];
+
+// Events queue up while a heartbeat runs; past this many, the oldest go.
+const MAX_PENDING_EVENTS = 50;
+
+// How often parked tool calls are compared with the chat file, to catch ones
+// parked or decided in another context (the ghost browser, another tab).
+const APPROVAL_SYNC_MS = 15_000;
+
+// chatId -> ids of the parked calls last seen in its chat file.
+const _approvalsOnDisk = new Map();
+
 // ─── public API ──────────────────────────────────────────────────────────────
 
 export async function init() {
@@ -33,6 +135,15 @@ export async function init() {
     // Custom events from sibling modules.
     eventSource.on('sa:config-changed',       onConfigChanged);
     eventSource.on('sa:subroutine-created',   onSubroutineCreated);
+    eventSource.on('sa:subroutine-output',    onSubroutineOutput);
+
+    registerFinishTool();
+
+    setInterval(checkForWake, WAKE_CHECK_MS);
+    setInterval(syncApprovals, APPROVAL_SYNC_MS);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') checkForWake();
+    });
 
     // On first load, scan all chats and start any running subroutines.
     // (Handles ghost-browser resume via SilentClient.)
@@ -43,8 +154,15 @@ export async function init() {
 
 // ─── loop lifecycle ──────────────────────────────────────────────────────────
 
-/** Start the polling loop for a specific chatId. No-op if already running. */
-export function startLoop(chatId) {
+/**
+ * Start the polling loop for a specific chatId. No-op if already running.
+ * @param {string} chatId
+ * @param {Object}  [options]
+ * @param {boolean} [options.catchUp] - apply the catch-up policy to runs missed
+ *   while the loop was down (startup).  A loop the user just switched on
+ *   starts its schedule fresh instead.
+ */
+export function startLoop(chatId, { catchUp = false } = {}) {
     if (!chatId) {
         logWarn('startLoop called without chatId');
         return;
@@ -61,16 +179,129 @@ export function startLoop(chatId) {
         return;
     }
 
-    const interval = Math.max(config.intervalSeconds, 5) * 1000; // enforce 5 s minimum
-    const intervalId = setInterval(() => onTick(chatId), interval);
-    
-    _runningLoops.set(chatId, {
-        intervalId,
-        isGenerating: false,
-    });
+    const loopState = createLoopState();
+    _runningLoops.set(chatId, loopState);
+
+    if (!armLoop(chatId, config)) {
+        _runningLoops.delete(chatId);
+        return;
+    }
+
+    if (catchUp) applyCatchUp(chatId, config);
+    else         resetNextRunAt(chatId, config);
 
     emitLoopState(chatId, true);
+}
+
+function createLoopState() {
+    return {
+        intervalId:   null,
+        timeoutId:    null,
+        isGenerating: false,
+        failures:     0,
+        backoffUntil: 0,
+        pendingEvents: [],
+        ruleTimes:    new Map(),
+        startedAt:    Date.now(),
+        chain:        [],
+        deferred:     { reason: null, events: [], timeoutId: null },
+        armedWith:    '',
+    };
+}
+
+/**
+ * Set up what drives a loop: a push connection for sse/websocket API
+ * triggers, a self-rearming timeout for cron schedules, a plain interval for
+ * everything else.
+ * @returns {boolean} false if the schedule can't be armed
+ */
+function armLoop(chatId, config) {
+    const loopState = _runningLoops.get(chatId);
+    if (!loopState) return false;
+    loopState.armedWith = armSignature(config);
+
+    if (isPushTrigger(config)) {
+        if (!config.apiUrl) {
+            logWarn('Push trigger for', chatId, 'has no apiUrl — not started');
+            return false;
+        }
+        // Every context running the loop listens; the lease check in onTick
+        // decides which one actually fires.
+        openStream(chatId, config, data => queueEvent(chatId, { reason: 'push', data, chain: [] }));
+        log('Loop started for', chatId, '—', config.apiMode, 'push from', config.apiUrl);
+        return true;
+    }
+
+    if (config.triggerType === 'subroutine') {
+        // Nothing to arm: onSubroutineOutput() queues the ticks.
+        if (!config.upstreamChatId) {
+            logWarn('Chained subroutine', chatId, 'has no upstream — not started');
+            return false;
+        }
+        log('Loop started for', chatId, '— after', config.upstreamChatId);
+        return true;
+    }
+
+    if (config.triggerType === 'cron') {
+        if (!scheduleCronTick(chatId, config)) return false;
+        log('Loop started for', chatId, '— cron', config.cronExpression, config.cronTimezone || '(local time)');
+        return true;
+    }
+
+    const interval = Math.max(config.intervalSeconds, MIN_INTERVAL_SECONDS) * 1000;
+    loopState.intervalId = setInterval(() => queueTick(chatId), interval);
+
     log('Loop started for', chatId, '— interval', config.intervalSeconds, 's');
+    return true;
+}
+
+/** The settings armLoop() reads, as one comparable string. */
+function armSignature(config) {
+    return JSON.stringify(ARM_KEYS.map(key => config[key]));
+}
+
+/**
+ * Arm a one-shot timer for the next cron occurrence.  The timer fires onTick
+ * and then re-arms itself, so the loop keeps following the schedule.
+ * @returns {boolean} false if the expression is invalid or never fires
+ */
+function scheduleCronTick(chatId, config) {
+    const loopState = _runningLoops.get(chatId);
+    if (!loopState) return false;
+
+    let next;
+    try {
+        next = nextCronRun(config.cronExpression, config.cronTimezone);
+    } catch (e) {
+        logError('Invalid cron schedule for', chatId, ':', e.message);
+        return false;
+    }
+    if (!next) {
+        logWarn('Cron schedule for', chatId, 'has no upcoming run:', config.cronExpression);
+        return false;
+    }
+
+    const delay = next.getTime() - Date.now();
+    if (delay > MAX_TIMEOUT_MS) {
+        // Too far away for a single timer — hop closer and recompute.
+        loopState.timeoutId = setTimeout(() => scheduleCronTick(chatId, config), MAX_TIMEOUT_MS);
+        return true;
+    }
+
+    loopState.timeoutId = setTimeout(() => {
+        queueTick(chatId);
+        // Re-read config in case it changed while we were waiting.
+        const current = getSubroutineConfig(chatId);
+        if (_runningLoops.get(chatId) === loopState && current) scheduleCronTick(chatId, current);
+    }, Math.max(delay, 0));
+
+    logDebug('Next cron run for', chatId, 'at', next.toISOString());
+    return true;
+}
+
+/** @returns {boolean} whether this context has an armed loop for the chat */
+export function isLoopRunning(chatId) {
+    return _runningLoops.has(chatId);
 }
 
 /** Stop the polling loop for a specific chatId. Safe to call when not running. */
@@ -87,17 +318,39 @@ export function stopLoop(chatId) {
     }
 
     clearInterval(loopState.intervalId);
+    clearTimeout(loopState.timeoutId);
+    clearTimeout(loopState.deferred.timeoutId);
+    closeStream(chatId);
+    cancelTicks(chatId);
     _runningLoops.delete(chatId);
+    releaseLease(chatId).catch(e => logWarn('Failed to release loop ownership of', chatId, e));
     
     emitLoopState(chatId, false);
     log('Loop stopped for', chatId);
 }
 
-/** Restart a loop — used when interval or trigger config changes mid-run. */
+/**
+ * Re-arm a running loop after its schedule or trigger source changed.  Only
+ * the timers and push connection are replaced; the loop state — backoff,
+ * a deferred tick, queued events, composite rule clocks — the lease and any
+ * queued scheduler tick all carry over.
+ */
 function restartLoop(chatId) {
-    const wasRunning = _runningLoops.has(chatId);
-    stopLoop(chatId);
-    if (wasRunning) startLoop(chatId);
+    const loopState = _runningLoops.get(chatId);
+    if (!loopState) return;
+
+    clearInterval(loopState.intervalId);
+    clearTimeout(loopState.timeoutId);
+    loopState.intervalId = null;
+    loopState.timeoutId  = null;
+    closeStream(chatId);
+
+    const config = getSubroutineConfig(chatId);
+    if (!config || !armLoop(chatId, config)) {
+        stopLoop(chatId);
+        return;
+    }
+    resetNextRunAt(chatId, config);
 }
 
 /** Scan all chats and start loops for any running subroutines. */
@@ -108,9 +361,9 @@ async function startAllRunningSubroutines() {
         const chats = await getChats();
 
         for (const chat of chats) {
-            const config = getSubroutineConfig(chat.file_name);
+            const config = await loadSubroutineConfig(chat.file_name);
             if (config?.running) {
-                startLoop(chat.file_name);
+                startLoop(chat.file_name, { catchUp: true });
             }
         }
 
@@ -120,9 +373,219 @@ async function startAllRunningSubroutines() {
     }
 }
 
+// ─── missed runs / catch-up ──────────────────────────────────────────────────
+
+/**
+ * Count scheduled runs between the persisted nextRunAt and now — runs that
+ * should have happened while no context was ticking this loop.
+ * @returns {number}
+ */
+function countMissedRuns(config, now = Date.now()) {
+    if (isEventDriven(config)) return 0;   // no schedule to miss
+
+    const next = config.nextRunAt ? new Date(config.nextRunAt).getTime() : NaN;
+    if (!Number.isFinite(next) || next > now) return 0;
+
+    if (config.triggerType === 'cron') {
+        try {
+            // Only ever need up to catchUpMaxRuns; cap the search accordingly.
+            const limit = Math.max(config.catchUpMaxRuns, 1);
+            const later = nextCronRuns(config.cronExpression, config.cronTimezone, limit, new Date(next));
+            return 1 + later.filter(d => d.getTime() <= now).length;
+        } catch {
+            return 1;
+        }
+    }
+
+    const interval = Math.max(config.intervalSeconds, 5) * 1000;
+    return 1 + Math.floor((now - next) / interval);
+}
+
+/** When the loop should tick next after `from`, per its schedule. */
+function computeNextRunAt(config, from = new Date()) {
+    if (isEventDriven(config)) return '';
+    if (config.triggerType === 'cron') {
+        try {
+            return nextCronRun(config.cronExpression, config.cronTimezone, from)?.toISOString() ?? '';
+        } catch {
+            return '';
+        }
+    }
+    return new Date(from.getTime() + Math.max(config.intervalSeconds, 5) * 1000).toISOString();
+}
+
+/** Forget a stale nextRunAt so time spent stopped doesn't count as missed runs. */
+function resetNextRunAt(chatId, config) {
+    if (countMissedRuns(config) === 0) return;
+
+    config.nextRunAt = computeNextRunAt(config);
+    saveSubroutineConfig(chatId, config)
+        .catch(e => logWarn('Failed to persist run times for', chatId, e));
+}
+
+/**
+ * Apply the subroutine's catch-up policy to runs missed while the loop was
+ * down: 'skip' ignores them, 'once' runs a single tick now, 'replay' runs up
+ * to catchUpMaxRuns ticks back to back.
+ */
+function applyCatchUp(chatId, config) {
+    const missed = countMissedRuns(config);
+    if (missed === 0) return;
+
+    const policy = config.catchUpPolicy;
+    const runs   = policy === 'replay' ? Math.min(missed, Math.max(config.catchUpMaxRuns, 1))
+                 : policy === 'once'   ? 1
+                 : 0;
+
+    log('Missed', missed, 'run(s) for', chatId, `— catch-up policy "${policy}", running`, runs);
+    if (runs === 0) return;
+
+    // One scheduler entry that replays sequentially — the scheduler never
+    // holds two ticks for the same chat.
+    scheduleTick(chatId, async () => {
+        for (let i = 0; i < runs && _runningLoops.has(chatId); i++) {
+            await onTick(chatId, 'catch-up');
+        }
+    });
+}
+
+/**
+ * Watchdog: if far more time passed since the last check than the check
+ * interval, timers were frozen (sleep, suspended tab).  Re-arm every loop and
+ * apply its catch-up policy.
+ */
+function checkForWake() {
+    const now = Date.now();
+    const gap = now - _lastWakeCheck;
+    _lastWakeCheck = now;
+    if (gap < WAKE_CHECK_MS + WAKE_GAP_MS) return;
+
+    log('Woke after', Math.round(gap / 1000), 's asleep — re-arming', _runningLoops.size, 'loop(s)');
+
+    for (const [chatId, loopState] of _runningLoops) {
+        const config = getSubroutineConfig(chatId);
+        if (!config) continue;
+
+        clearInterval(loopState.intervalId);
+        clearTimeout(loopState.timeoutId);
+        armLoop(chatId, config);
+        applyCatchUp(chatId, config);
+    }
+}
+
 // ─── tick handler ────────────────────────────────────────────────────────────
 
-async function onTick(chatId) {
+/**
+ * A loop's timer came due.  Wait a random jitter (so loops on the same
+ * interval don't arrive together), then queue the tick with the scheduler,
+ * which decides when it actually runs.
+ */
+function queueTick(chatId) {
+    const jitterMs = Math.random() * Math.max(getGlobalSettings().tickJitterSeconds, 0) * 1000;
+
+    setTimeout(() => {
+        if (!_runningLoops.has(chatId)) return;   // stopped during the jitter
+        scheduleTick(chatId, () => onTick(chatId));
+    }, jitterMs);
+}
+
+/**
+ * Hand a tick to the scheduler.  Events that arrive while it is queued or
+ * running can't get a scheduler entry of their own (one per chat), so they
+ * are drained before the tick gives up its slot.
+ * @param {string} chatId
+ * @param {Function|null} run - async () => void; null to only drain events
+ * @returns {boolean} false if this chat already had a tick queued or running
+ */
+function scheduleTick(chatId, run) {
+    const priority = getSubroutineConfig(chatId)?.priority ?? 0;
+    return enqueueTick(chatId, priority, async () => {
+        try {
+            await run?.();
+        } finally {
+            await drainEvents(chatId);
+        }
+    });
+}
+
+/**
+ * Run `fn` in a scheduler slot, so it counts towards maxConcurrentGenerations
+ * like any tick, and wait for it.
+ * @template T
+ * @param {string} chatId
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T|null>} fn's result, or null if the chat already had a tick queued or running
+ */
+function runScheduled(chatId, fn) {
+    return new Promise((resolve, reject) => {
+        const priority = getSubroutineConfig(chatId)?.priority ?? 0;
+        const queued   = enqueueTick(chatId, priority, () => fn().then(resolve, reject));
+        if (!queued) resolve(null);
+    });
+}
+
+/**
+ * @typedef {Object} LoopEvent
+ * @property {'push'|'upstream'|'approval'} reason
+ * @property {string}   data    - pushed event body / upstream output
+ * @property {string[]} chain   - upstream chatIds that led to this event, oldest first
+ */
+
+/**
+ * An event arrived for an event-driven loop (push-mode API trigger, chained
+ * subroutine, approval).  Events fire right away (no jitter) but still go
+ * through the scheduler; ones that arrive while a tick is queued or running
+ * wait in pendingEvents and are drained, in order, when it ends.
+ * @param {string} chatId
+ * @param {LoopEvent} event
+ */
+function queueEvent(chatId, event) {
+    const loopState = _runningLoops.get(chatId);
+    if (!loopState) return;
+
+    loopState.pendingEvents.push(event);
+    if (loopState.pendingEvents.length > MAX_PENDING_EVENTS) {
+        loopState.pendingEvents.shift();
+        logWarn('Events for', chatId, 'are arriving faster than heartbeats finish — dropped the oldest');
+    }
+
+    scheduleTick(chatId, null);
+}
+
+async function drainEvents(chatId) {
+    let loopState;
+    while ((loopState = _runningLoops.get(chatId)) && loopState.pendingEvents.length > 0) {
+        const event = loopState.pendingEvents.shift();
+        await onTick(chatId, event.reason, event);
+    }
+}
+
+/** @returns {boolean} true if evaluating the trigger calls a tool or an endpoint */
+function pollsOnTrigger(config) {
+    switch (config.triggerType) {
+        case 'tool':      return true;
+        case 'api':       return !isPushTrigger(config);
+        case 'composite': return config.compositeRules.some(rule => rule.type !== 'time');
+        default:          return false;
+    }
+}
+
+/** @returns {boolean} true for API triggers that take pushed events instead of polling */
+function isPushTrigger(config) {
+    return config.triggerType === 'api' && (config.apiMode === 'sse' || config.apiMode === 'websocket');
+}
+
+/** @returns {boolean} true for loops driven by events rather than a schedule */
+function isEventDriven(config) {
+    return isPushTrigger(config) || config.triggerType === 'subroutine';
+}
+
+/**
+ * @param {string} chatId
+ * @param {'schedule'|'catch-up'|'push'|'upstream'|'approval'|'manual'} [reason] - why this tick runs, for the run history
+ * @param {LoopEvent|null} [event] - the event behind a push / upstream / approval tick
+ */
+async function onTick(chatId, reason = 'schedule', event = null) {
     const loopState = _runningLoops.get(chatId);
     if (!loopState) {
         logWarn('Tick fired for non-running loop:', chatId);
@@ -134,194 +597,1369 @@ async function onTick(chatId) {
         return;
     }
 
+    // "Run now" is the user asking explicitly: no backoff, no active hours.
+    const manual = reason === 'manual';
+
+    if (!manual && Date.now() < loopState.backoffUntil) {
+        logDebug('Skipping tick for', chatId, '— backing off after', loopState.failures, 'failure(s)');
+        return;
+    }
+
+    // Another tab or the ghost browser runs this loop; stay on standby.
+    if (!(await ensureLease(chatId))) {
+        logDebug('Skipping tick for', chatId, '— owned by another context');
+        return;
+    }
+
     const config = getSubroutineConfig(chatId);
     if (!config) { 
         stopLoop(chatId); 
         return; 
     }
 
-    let shouldFire = false;
+    if (!manual && !(await checkWindows(chatId, config, loopState, reason, event))) return;
+
+    // Started again by hand while still over a cap — pause rather than spend more.
+    const overBudget = checkBudget(config);
+    if (overBudget) {
+        await pauseSubroutine(chatId, overBudget);
+        return;
+    }
+
+    // Parked tool calls hold the loop: the model is mid-turn until they're decided.
+    if (config.pendingApprovals.length > 0) {
+        logDebug('Skipping tick for', chatId, '—', config.pendingApprovals.length, 'tool call(s) awaiting approval');
+        return;
+    }
+
+    const run     = createRunRecord(chatId, config.triggerType, reason);
+    const trigger = await evaluateTrigger(chatId, config, loopState, reason, event);
+
+    run.fired = trigger.fire;
+    run.poll  = trigger.poll;
+    if (trigger.error) run.errors.push(trigger.error);
+
+    const payload = trigger.fire ? renderTriggerPayload(chatId, config, trigger.payload, run) : '';
+    if (trigger.fire) setTriggerPayload(chatId, payload);
+
+    // Staged now so the heartbeat's final chat write carries them.
+    stageRunTimes(chatId, run);
+
+    // Output produced during this heartbeat carries the chain that caused it.
+    loopState.chain = event?.reason === 'upstream' ? event.chain : [];
+
+    let failure = trigger.error ?? null;
+    const resume = reason === 'approval';
+    if (trigger.fire && !(await fireHeartbeat(chatId, config, run, payload, { resume }))) {
+        failure = run.errors.at(-1) ?? 'Heartbeat failed.';
+    } else if (trigger.fire && !resume && config.triggerType === 'api' && config.apiAckUrl) {
+        // Tell the source the item was handled, or it fires again next poll.
+        try {
+            await acknowledgeApiTrigger(config, trigger.payload, payload);
+        } catch (e) {
+            logError('API ack failed for', chatId, ':', e);
+            run.errors.push(`API ack failed: ${e.message}`);
+            failure = run.errors.at(-1);
+        }
+    }
+
+    // A tick that fired was persisted with the heartbeat's chat write; one that
+    // didn't still has run times (and maybe a polled result) to save.
+    if (!trigger.fire) await persistStagedConfig(chatId);
+    await appendRunRecord(run);
+
+    if (failure) await recordFailure(chatId, failure);
+    else         loopState.failures = 0;
+}
+
+/**
+ * Decide whether this tick fires a heartbeat.
+ * @param {string} chatId
+ * @param {SubroutineConfig} config
+ * @param {{ ruleTimes: Map<number, number>, startedAt: number }} loopState
+ * @param {string} reason
+ * @param {LoopEvent|null} event
+ * @param {Object}  [options]
+ * @param {boolean} [options.dryRun] - don't persist what 'changed' conditions compare against
+ * @returns {Promise<TriggerResult>}
+ */
+async function evaluateTrigger(chatId, config, loopState, reason, event, { dryRun = false } = {}) {
+    // Event-driven triggers have nothing to evaluate without an event; a
+    // manual or dry run fires them as if one had arrived, with no payload.
+    if (!event && isEventDriven(config) && (reason === 'manual' || dryRun)) {
+        return { fire: true, poll: null };
+    }
+
+    switch (reason === 'approval' ? 'approval' : config.triggerType) {
+        case 'approval':
+            // The user decided on parked tool calls — let the model carry on.
+            return { fire: true, poll: null };
 
-    switch (config.triggerType) {
         case 'time':
-            shouldFire = true;
-            break;
+        case 'cron':
+            // The schedule itself is the condition.
+            return { fire: true, poll: null };
 
-        case 'tool':
-            shouldFire = await evaluateToolTrigger(config);
-            break;
+        case 'tool': {
+            const trigger = await evaluateToolTrigger(config);
+            if (!dryRun && config.toolConditionMode === 'changed' && trigger.result !== undefined) {
+                await rememberToolResult(chatId, trigger.result);
+            }
+            return trigger;
+        }
 
         case 'api':
-            shouldFire = await evaluateApiTrigger(config);
-            break;
+            // A pushed event is the trigger; otherwise poll.
+            return event
+                ? { fire: true, poll: truncateForHistory(event.data), payload: event.data }
+                : await evaluateApiTrigger(config);
+
+        case 'subroutine':
+            // Only upstream output fires a chained subroutine.
+            return event
+                ? { fire: true, poll: truncateForHistory(event.data), payload: event.data }
+                : { fire: false, poll: null };
+
+        case 'composite':
+            return await evaluateCompositeTrigger(chatId, config, loopState, { dryRun });
 
         default:
             logWarn('Unknown trigger type:', config.triggerType);
+            return { fire: false, poll: null, error: `Unknown trigger type: ${config.triggerType}` };
     }
+}
 
-    if (shouldFire) {
-        await fireHeartbeat(chatId, config);
+/** Stage lastRunAt / nextRunAt so a restarted context can tell what it missed. */
+function stageRunTimes(chatId, run) {
+    const config = getSubroutineConfig(chatId);
+    if (!config) return;
+
+    config.lastRunAt = run.tickAt;
+    config.nextRunAt = computeNextRunAt(config);
+    stageSubroutineConfig(chatId, config);
+}
+
+/** Write what the tick staged, for ticks that wrote nothing to the chat. */
+async function persistStagedConfig(chatId) {
+    const config = getSubroutineConfig(chatId);
+    if (!config) return;
+    try {
+        await saveSubroutineConfig(chatId, config);
+    } catch (e) {
+        logWarn('Failed to persist run state for', chatId, e);
     }
 }
 
-// ─── trigger evaluators ──────────────────────────────────────────────────────
+// ─── manual runs ─────────────────────────────────────────────────────────────
 
 /**
- * Tool-based trigger: directly invoke the registered function tool and compare 
- * the result to the expected condition string. Only fires the LLM if they match.
+ * Tick now rather than waiting for the schedule.  A stopped subroutine gets a
+ * loop state for the duration of this one tick, so it can be tried out
+ * without starting it.  Either way the tick waits for a scheduler slot.
+ * @param {string} chatId
+ * @returns {Promise<boolean>} false if there was nothing to run, or a tick was already queued
  */
-async function evaluateToolTrigger(config) {
-    if (!config.toolName) {
-        logWarn('Tool trigger configured but toolName is empty.');
-        return false;
+export async function runNow(chatId) {
+    if (_runningLoops.has(chatId)) return scheduleTick(chatId, () => onTick(chatId, 'manual'));
+
+    if (!getSubroutineConfig(chatId) && !(await loadSubroutineConfig(chatId))) return false;
+
+    const ran = await runScheduled(chatId, () => runStoppedTick(chatId));
+    return ran !== null;
+}
+
+async function runStoppedTick(chatId) {
+    // Started while this waited for its slot — it's a normal manual tick now.
+    if (_runningLoops.has(chatId)) {
+        await onTick(chatId, 'manual');
+        await drainEvents(chatId);
+        return true;
     }
-    
+
+    const loopState = createLoopState();
+    _runningLoops.set(chatId, loopState);
     try {
-        const ToolManager = SillyTavern.getContext().ToolManager;
-        
-        // Verify the tool exists and is callable
-        if (!ToolManager || typeof ToolManager.invokeFunctionTool !== 'function') {
-            logError('ToolManager not available or invokeFunctionTool not found');
-            return false;
-        }
-        
-        // Directly invoke the tool with empty parameters (most trigger tools don't need args)
-        const result = await ToolManager.invokeFunctionTool(config.toolName, {});
-        
-        // If result is an Error object, the tool failed
-        if (result instanceof Error) {
-            logWarn('Tool trigger failed:', config.toolName, '→', result.message);
-            return false;
+        await onTick(chatId, 'manual');
+        await drainEvents(chatId);
+    } finally {
+        // Unless the tick itself stopped it (finish, pause).
+        if (_runningLoops.get(chatId) === loopState) {
+            _runningLoops.delete(chatId);
+            // Switched on while the tick ran — startLoop() was a no-op then, so arm it now.
+            if (getSubroutineConfig(chatId)?.running) startLoop(chatId);
+            else releaseLease(chatId).catch(e => logWarn('Failed to release loop ownership of', chatId, e));
         }
-        
-        // Convert result to string and check against condition
-        const resultStr = String(result || '');
-        const matched = resultStr.includes(config.toolCondition);
-        
-        logDebug('Tool trigger poll —', config.toolName, '→', resultStr, '| matched:', matched);
-        return matched;
-    } catch (e) {
-        logError('Tool trigger evaluation failed:', e);
-        return false;
     }
+    return true;
 }
 
 /**
- * API-based trigger: fetch an external URL.  If the response body is non-empty
- * (and not "null" / "none" / "[]"), treat it as a pending request.
+ * @typedef {Object} DryRunTrace
+ * @property {string}   triggerType
+ * @property {boolean}  fired      - would the trigger have fired
+ * @property {string|null} poll    - what the trigger saw
+ * @property {string}   payload    - {{triggerPayload}} as it would have been
+ * @property {string}   note       - caveats about how the run was simulated
+ * @property {string}   error
+ * @property {Array<{ role: string, content: string }>} messages - the prompt as sent to the model
+ * @property {string[]} tools      - names of the tools offered
+ * @property {string}   reply      - the model's text reply
+ * @property {Array<{ name: string, arguments: * }>} toolCalls - calls the model asked for (not run)
+ * @property {number}   tokens
  */
-async function evaluateApiTrigger(config) {
-    if (!config.apiUrl) {
-        logWarn('API trigger configured but apiUrl is empty.');
-        return false;
-    }
-    try {
-        const res  = await fetch(config.apiUrl);
-        const body = (await res.text()).trim();
-        // Empty or explicitly "no work" responses → don't fire.
-        const empty = ['', 'null', 'none', '[]', '{}'].includes(body.toLowerCase());
-        logDebug('API trigger poll →', config.apiUrl, '| body:', body, '| fire:', !empty);
-        return !empty;
-    } catch (e) {
-        logError('API trigger fetch failed:', e);
-        return false;
-    }
-}
 
-// ─── heartbeat / generation ──────────────────────────────────────────────────
+/**
+ * Evaluate the trigger and, if it fires, generate one reply to a heartbeat
+ * that is never saved.  Nothing is written to the chat or the config, no tool
+ * is run — neither one the model asks for nor the one a trigger polls — and
+ * the live {{triggerPayload}} is left alone.  Triggers that poll a tool or an
+ * endpoint aren't evaluated: the run is simulated as if they fired, with the
+ * last payload this context saw.  The generation's tokens are reported in the
+ * trace but not added to the usage counters.
+ * @param {string} chatId
+ * @returns {Promise<DryRunTrace>}
+ */
+export async function dryRun(chatId) {
+    const config = getSubroutineConfig(chatId) ?? await loadSubroutineConfig(chatId);
+    if (!config) throw new Error('This chat is not a subroutine.');
+
+    // Takes a scheduler slot like any tick, so it counts towards the concurrency limit.
+    const trace = await runScheduled(chatId, () => simulateHeartbeat(chatId, config));
+    if (!trace) throw new Error('A tick is already queued or running for this subroutine — try again when it finishes.');
+    return trace;
+}
 
 /**
- * Inject the heartbeat message into the chat and trigger generation.
- * Now uses generateFromChatId to work with background chats.
- * Handles tool execution loop and auto-queue inline.
+ * @param {string} chatId
+ * @param {SubroutineConfig} config
+ * @returns {Promise<DryRunTrace>}
  */
-async function fireHeartbeat(chatId, config) {
+async function simulateHeartbeat(chatId, config) {
+    // A copy, so time rules in composite triggers don't move their clocks.
     const loopState = _runningLoops.get(chatId);
-    if (!loopState) return;
+    const scratch   = { ruleTimes: new Map(loopState?.ruleTimes ?? []), startedAt: loopState?.startedAt ?? 0 };
 
-    loopState.isGenerating = true;
-    try {
-        // Load the chat data to append heartbeat message
-        const chatData = await loadChatData(chatId);
-        if (!chatData) {
-            logError('Failed to load chat data for', chatId);
-            return;
-        }
+    const run     = createRunRecord(chatId, config.triggerType, 'dry-run');   // never stored
+    const polls   = pollsOnTrigger(config);
+    // Polling calls the tool or endpoint, which may act on it (mark mail read,
+    // pop a queue) — so a dry run doesn't.
+    const trigger = polls
+        ? { fire: true, poll: null }
+        : await evaluateTrigger(chatId, config, scratch, 'dry-run', null, { dryRun: true });
 
-        // Build heartbeat message
-        const heartbeat = {
-            is_user: true,
-            name: 'User',
-            send_date: new Date().toISOString(),
-            mes: config.heartbeatMessage || '[heartbeat]',
-        };
+    /** @type {DryRunTrace} */
+    const trace = {
+        triggerType: config.triggerType,
+        fired:       trigger.fire,
+        poll:        trigger.poll,
+        payload:     '',
+        note:        polls
+            ? 'Polling trigger: the tool / endpoint was not called. Simulated as if it fired, with the last payload seen here.'
+            : isEventDriven(config) ? 'Event-driven trigger: simulated as if an event arrived, with no payload.' : '',
+        error:       trigger.error ?? '',
+        messages:    [],
+        tools:       [],
+        reply:       '',
+        toolCalls:   [],
+        tokens:      0,
+    };
+    if (!trigger.fire) return trace;
 
-        // Append to chat
-        chatData.chat.push(heartbeat);
-        await saveChatData(chatId, chatData);
+    const overBudget = checkBudget(config);
+    if (overBudget) {
+        trace.error = overBudget;
+        return trace;
+    }
+
+    trace.payload = polls ? getTriggerPayload(chatId) : renderTriggerPayload(chatId, config, trigger.payload, run);
+
+    const request = {};
+    const result  = await generateFromChatId(chatId, {}, {
+        toolFilter:      toolFilterFor(config),
+        pendingMessages: [buildHeartbeatMessage(config, trace.payload)],
+        trace:           request,
+    });
+    const { tokens } = await measureUsage(chatId, result, request);
+
+    trace.messages  = request.messages ?? [];
+    trace.tools     = (request.tools ?? []).map(t => t.function?.name ?? t.name);
+    trace.reply     = getReplyText(result);
+    trace.toolCalls = hasToolCalls(result)
+        ? result.tool_calls.map(c => ({ name: c.function.name, arguments: parsePayload(c.function.arguments || '{}') }))
+        : [];
+    trace.tokens    = tokens.prompt + tokens.completion;
+    return trace;
+}
+
+// ─── active hours ────────────────────────────────────────────────────────────
+
+/**
+ * Gate a tick on the subroutine's active hours and blackout dates.  Outside
+ * them the tick is dropped ('skip') or held until they open ('defer'); held
+ * schedule ticks collapse into one, held events are kept in order.
+ * @returns {Promise<boolean>} true if the tick may run now
+ */
+async function checkWindows(chatId, config, loopState, reason, event) {
+    let windows;
+    try {
+        windows = compileWindows(config);
+    } catch (e) {
+        logError('Invalid active hours for', chatId, ':', e.message);
+        const run = createRunRecord(chatId, config.triggerType, reason);
+        run.errors.push(`Invalid active hours: ${e.message}`);
+        await appendRunRecord(run);
+        await recordFailure(chatId, run.errors[0]);
+        return false;
+    }
+    if (isActiveAt(windows)) return true;
+
+    if (config.outsideWindowPolicy !== 'defer') {
+        logDebug('Skipping tick for', chatId, '— outside active hours');
+        return false;
+    }
+
+    const { deferred } = loopState;
+    if (event) {
+        deferred.events.push(event);
+        if (deferred.events.length > MAX_PENDING_EVENTS) deferred.events.shift();
+    } else {
+        deferred.reason ??= reason;
+    }
+    if (deferred.timeoutId) return false;
 
-        // Generate response using the indirect generation function
-        let result = await generateFromChatId(chatId);
+    const opensAt = nextActiveTime(windows);
+    if (!opensAt) {
+        logWarn('Active hours for', chatId, 'never open again — dropping deferred ticks');
+        deferred.reason = null;
+        deferred.events = [];
+        return false;
+    }
+
+    const delay = Math.min(opensAt.getTime() - Date.now(), MAX_TIMEOUT_MS);
+    deferred.timeoutId = setTimeout(() => releaseDeferred(chatId, loopState), Math.max(delay, 0));
+    logDebug('Deferring tick for', chatId, 'until', opensAt.toISOString());
+    return false;
+}
+
+/** The windows opened (or a long timer hopped closer): re-queue what was held. */
+function releaseDeferred(chatId, loopState) {
+    const { deferred } = loopState;
+    deferred.timeoutId = null;
+    if (_runningLoops.get(chatId) !== loopState) return;
+
+    const { reason, events } = deferred;
+    deferred.reason = null;
+    deferred.events = [];
+
+    // Anything still outside the windows is simply deferred again.
+    if (reason) scheduleTick(chatId, () => onTick(chatId, reason));
+    for (const event of events) queueEvent(chatId, event);
+}
+
+// ─── failure handling ────────────────────────────────────────────────────────
+
+/**
+ * Count a failed tick.  Below the threshold the loop backs off exponentially
+ * (base interval × 2^failures, capped at backoffMaxSeconds); at the threshold
+ * the circuit breaker pauses the subroutine in the `error` state.
+ */
+async function recordFailure(chatId, message) {
+    const loopState = _runningLoops.get(chatId);
+    const config    = getSubroutineConfig(chatId);
+    if (!loopState || !config) return;
+
+    loopState.failures++;
+
+    if (loopState.failures >= config.maxConsecutiveFailures) {
+        await pauseSubroutine(chatId,
+            `Circuit breaker tripped after ${loopState.failures} consecutive failure(s). Last error: ${message}`,
+            { state: 'error', lastError: message, lastErrorAt: new Date().toISOString() });
+        return;
+    }
+
+    // Cron schedules have no interval; back off from a one-minute base instead.
+    const baseSeconds    = config.triggerType === 'cron' ? 60 : Math.max(config.intervalSeconds, 5);
+    const backoffSeconds = Math.min(baseSeconds * 2 ** loopState.failures, config.backoffMaxSeconds);
+    loopState.backoffUntil = Date.now() + backoffSeconds * 1000;
+
+    logWarn('Tick failed for', chatId, `(${loopState.failures}/${config.maxConsecutiveFailures})`,
+        '— backing off', backoffSeconds, 's:', message);
+}
+
+// ─── trigger evaluators ──────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} TriggerResult
+ * @property {boolean}     fire   - should this tick fire a heartbeat
+ * @property {string|null} poll   - what the trigger saw, for the run history
+ * @property {string}      [payload] - the full body that fired, for {{triggerPayload}}
+ * @property {string}      [result]  - a tool trigger's full result, for the 'changed' condition
+ * @property {string}      [error] - set when the trigger itself failed
+ */
+
+/**
+ * Extract the configured fields from the body that fired the trigger, for
+ * {{triggerPayload}}.  A bad path expression falls back to the whole body
+ * rather than losing the payload.  Publishing it is up to the caller.
+ * @returns {string}
+ */
+function renderTriggerPayload(chatId, config, raw, run) {
+    let payload = '';
+    if (raw !== undefined && raw !== null) {
+        try {
+            payload = extractPayload(raw, config.payloadPaths);
+        } catch (e) {
+            logWarn('Payload paths for', chatId, 'failed:', e.message);
+            run.errors.push(`Payload paths failed: ${e.message}`);
+            payload = extractPayload(raw);
+        }
+    }
+    return payload;
+}
+
+/**
+ * Tool-based trigger: directly invoke the registered function tool and test
+ * the result against the configured condition (conditions.js). Only fires the
+ * LLM if it holds.
+ * @returns {Promise<TriggerResult>}
+ */
+async function evaluateToolTrigger(config) {
+    if (!config.toolName) {
+        logWarn('Tool trigger configured but toolName is empty.');
+        return { fire: false, poll: null, error: 'Tool trigger configured but toolName is empty.' };
+    }
+    
+    try {
+        const ToolManager = SillyTavern.getContext().ToolManager;
         
-        // Handle tool calls if present - manual execution loop
-        if (result.tool_calls && result.tool_calls.length > 0) {
-            logDebug('Generated with', result.tool_calls.length, 'tool call(s) for', chatId);
-            
-            // Execute each tool call
-            const ToolManager = SillyTavern.getContext().ToolManager;
-            for (const toolCall of result.tool_calls) {
-                try {
-                    const toolResult = await ToolManager.invokeFunctionTool(
-                        toolCall.function.name,
-                        JSON.parse(toolCall.function.arguments || '{}')
-                    );
-                    
-                    // Append tool result to chat
-                    const toolMessage = {
-                        is_user: false,
-                        name: 'System',
-                        send_date: new Date().toISOString(),
-                        mes: `[Tool: ${toolCall.function.name}]\n${toolResult}`,
-                        extra: { tool_call_id: toolCall.id }
-                    };
-                    chatData.chat.push(toolMessage);
-                    await saveChatData(chatId, chatData);
-                } catch (e) {
-                    logError('Tool execution failed:', toolCall.function.name, e);
-                }
-            }
-            
-            // After tool execution, generate again to get the model's response to tool results
-            result = await generateFromChatId(chatId);
+        // Verify the tool exists and is callable
+        if (!ToolManager || typeof ToolManager.invokeFunctionTool !== 'function') {
+            logError('ToolManager not available or invokeFunctionTool not found');
+            return { fire: false, poll: null, error: 'ToolManager not available.' };
+        }
+        
+        // Configured arguments, macros expanded, checked against the tool's
+        // schema so a bad config fails loudly instead of calling the tool
+        // with garbage.
+        const schema   = getToolSchema(config.toolName);
+        const args     = resolveToolArgs(parseToolArgs(config.toolArgs), schema);
+        const problems = validateToolArgs(args, schema);
+        if (problems.length > 0) {
+            return { fire: false, poll: null, error: `Tool ${config.toolName} arguments: ${problems.join(' ')}` };
+        }
+
+        const result = await ToolManager.invokeFunctionTool(config.toolName, args);
+        
+        // If result is an Error object, the tool failed
+        if (result instanceof Error) {
+            logWarn('Tool trigger failed:', config.toolName, '→', result.message);
+            return { fire: false, poll: null, error: `Tool ${config.toolName} failed: ${result.message}` };
         }
         
-        // Auto-queue: check if we should re-prompt
-        if (config.autoQueue) {
-            // If the model didn't call any tools and auto-queue is enabled, re-prompt
-            if (!result.tool_calls || result.tool_calls.length === 0) {
-                logDebug('Auto-queue: no tool calls detected, re-prompting for', chatId);
-                
-                const autoQueueMsg = {
-                    is_user: true,
-                    name: 'User',
-                    send_date: new Date().toISOString(),
-                    mes: config.autoQueuePrompt || 'Continue or call the finish tool if done.',
-                };
-                chatData.chat.push(autoQueueMsg);
-                await saveChatData(chatId, chatData);
-                
-                await generateFromChatId(chatId);
+        // Convert result to string and check against condition
+        const resultStr = typeof result === 'string' ? result : (JSON.stringify(result) ?? '');
+        const matched   = evaluateCondition(toolCondition(config), resultStr, config.lastToolResult);
+
+        logDebug('Tool trigger poll —', config.toolName, '→', resultStr, '| matched:', matched);
+        return { fire: matched, poll: truncateForHistory(resultStr), payload: resultStr, result: resultStr };
+    } catch (e) {
+        logError('Tool trigger evaluation failed:', e);
+        return { fire: false, poll: null, error: `Tool trigger evaluation failed: ${e.message}` };
+    }
+}
+
+/** @returns {Condition} the tool trigger's condition, from its config fields */
+function toolCondition(config) {
+    return {
+        mode:   config.toolConditionMode,
+        value:  config.toolCondition,
+        path:   config.toolConditionPath,
+        negate: config.toolConditionNegate,
+    };
+}
+
+/** Stage this poll's result so the next poll can tell whether it changed. */
+async function rememberToolResult(chatId, result) {
+    const config = getSubroutineConfig(chatId);
+    if (!config || config.lastToolResult === result) return;
+
+    config.lastToolResult = result;
+    stageSubroutineConfig(chatId, config);
+}
+
+/**
+ * API-based trigger: fetch an external URL.  If the response body is non-empty
+ * (and not "null" / "none" / "[]"), treat it as a pending request.
+ * @returns {Promise<TriggerResult>}
+ */
+async function evaluateApiTrigger(config) {
+    if (!config.apiUrl) {
+        logWarn('API trigger configured but apiUrl is empty.');
+        return { fire: false, poll: null, error: 'API trigger configured but apiUrl is empty.' };
+    }
+    try {
+        const res  = await fetch(config.apiUrl, buildRequestInit(config, config.apiMethod, config.apiBody));
+        if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
+        const body = (await res.text()).trim();
+        // Empty or explicitly "no work" responses → don't fire.
+        const empty = ['', 'null', 'none', '[]', '{}'].includes(body.toLowerCase());
+        logDebug('API trigger poll →', config.apiUrl, '| body:', body, '| fire:', !empty);
+        return { fire: !empty, poll: truncateForHistory(body), payload: body };
+    } catch (e) {
+        logError('API trigger fetch failed:', e);
+        return { fire: false, poll: null, error: `API trigger fetch failed: ${e.message}` };
+    }
+}
+
+/**
+ * Send the configured ack request for the item that fired an API trigger.
+ * {{payloadId}} comes from apiPayloadIdPath in the raw body; {{triggerPayload}}
+ * is the extracted payload the model saw.
+ * @param {SubroutineConfig} config
+ * @param {string} raw       - the body/event that fired the trigger
+ * @param {string} payload   - the extracted payload
+ * @throws if the request fails or answers with an error status
+ */
+async function acknowledgeApiTrigger(config, raw, payload) {
+    const id   = config.apiPayloadIdPath ? getByPath(parsePayload(raw), config.apiPayloadIdPath) : undefined;
+    const vars = {
+        payloadId:      id === undefined || id === null ? '' : (typeof id === 'object' ? JSON.stringify(id) : String(id)),
+        triggerPayload: payload,
+    };
+
+    const url  = fillAckTemplate(config.apiAckUrl, vars, 'uri');
+    const body = fillAckTemplate(config.apiAckBody, vars, looksLikeJson(config.apiAckBody) ? 'json' : 'none');
+
+    const res = await fetch(url, buildRequestInit(config, config.apiAckMethod, body));
+    if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
+    logDebug('API ack sent →', url, '| id:', vars.payloadId);
+}
+
+/**
+ * Composite trigger: a chain of time / tool / api rules joined by AND / OR
+ * (AND binds tighter).  Groups are tried left to right and rules inside a
+ * group short-circuit, so a tool or API rule is only polled when everything
+ * before it in its group held.  A rule that errors counts as not holding and
+ * is reported, but doesn't stop another group from firing.
+ * @returns {Promise<TriggerResult>}
+ */
+async function evaluateCompositeTrigger(chatId, config, loopState, { dryRun = false } = {}) {
+    const rules = config.compositeRules ?? [];
+    if (rules.length === 0) {
+        return { fire: false, poll: null, error: 'Composite trigger has no rules.' };
+    }
+
+    const seen   = [];   // one line per evaluated rule, for the run history
+    const errors = [];
+    let   fired  = null;
+
+    for (const group of splitOrGroups(rules)) {
+        let holds   = true;
+        let payload;
+
+        for (const { rule, index } of group) {
+            const result = await evaluateRule(chatId, config, rule, index, loopState, { dryRun });
+            seen.push(`#${index + 1} ${rule.type}: ${result.error ? 'error' : result.fire ? 'yes' : 'no'}`);
+            if (result.error) errors.push(`Rule ${index + 1}: ${result.error}`);
+
+            if (!result.fire) {
+                holds = false;
+                break;
+            }
+            if (result.payload !== undefined) payload = result.payload;
+        }
+
+        if (holds) {
+            fired = { payload };
+            break;
+        }
+    }
+
+    logDebug('Composite trigger for', chatId, '→', seen.join(', '), '| fire:', !!fired);
+    return {
+        fire:    !!fired,
+        poll:    truncateForHistory(seen.join('\n')),
+        payload: fired?.payload,
+        ...(errors.length > 0 && { error: errors.join(' ') }),
+    };
+}
+
+/**
+ * Evaluate a single composite rule.  Tool and API rules reuse the standalone
+ * evaluators through a config patched with the rule's own settings; API rules
+ * poll with GET and the subroutine's headers / bearer token.
+ * @returns {Promise<TriggerResult>}
+ */
+async function evaluateRule(chatId, config, rule, index, loopState, { dryRun = false } = {}) {
+    switch (rule.type) {
+        case 'time': {
+            // Holds once every `everySeconds`, counted from the loop start.
+            const now  = Date.now();
+            const last = loopState.ruleTimes.get(index) ?? loopState.startedAt;
+            const everyMs = Math.max(Number(rule.everySeconds) || 0, MIN_INTERVAL_SECONDS) * 1000;
+            if (now - last < everyMs) return { fire: false, poll: null };
+            loopState.ruleTimes.set(index, now);
+            return { fire: true, poll: null };
+        }
+
+        case 'tool': {
+            const result = await evaluateToolTrigger({
+                ...config,
+                toolName:            rule.toolName,
+                toolArgs:            rule.toolArgs,
+                toolConditionMode:   rule.mode,
+                toolCondition:       rule.value,
+                toolConditionPath:   rule.path,
+                toolConditionNegate: rule.negate,
+                lastToolResult:      rule.lastResult ?? null,
+            });
+            if (!dryRun && rule.mode === 'changed' && result.result !== undefined) {
+                await rememberRuleResult(chatId, index, result.result);
             }
+            return result;
+        }
+
+        case 'api':
+            return evaluateApiTrigger({ ...config, apiUrl: rule.apiUrl, apiMethod: 'GET', apiBody: '' });
+
+        default:
+            return { fire: false, poll: null, error: `Unknown rule type "${rule.type}".` };
+    }
+}
+
+/** Like rememberToolResult(), for a tool rule inside a composite trigger. */
+async function rememberRuleResult(chatId, index, result) {
+    const config = getSubroutineConfig(chatId);
+    const rule   = config?.compositeRules?.[index];
+    if (!rule || rule.lastResult === result) return;
+
+    rule.lastResult = result;
+    stageSubroutineConfig(chatId, config);
+}
+
+// ─── heartbeat / generation ──────────────────────────────────────────────────
+
+/**
+ * Inject the heartbeat message into the chat and trigger generation.
+ * Now uses generateFromChatId to work with background chats.
+ * Handles tool execution loop and auto-queue inline.
+ * @param {string} chatId
+ * @param {SubroutineConfig} config
+ * @param {RunRecord} run - this tick's history record; filled in as we go
+ * @param {string} [payload] - extracted trigger payload, replaces {{triggerPayload}}
+ * @param {Object}  [options]
+ * @param {boolean} [options.resume] - carry on after approved/rejected tool calls
+ *   instead of sending a new heartbeat message
+ * @returns {Promise<boolean>} false if the heartbeat failed (counts towards backoff)
+ */
+async function fireHeartbeat(chatId, config, run, payload = '', { resume = false } = {}) {
+    const loopState = _runningLoops.get(chatId);
+    if (!loopState) return true;
+
+    loopState.isGenerating = true;
+    let chatData = null;
+    try {
+        // Load the chat data to append heartbeat message
+        chatData = await loadChatData(chatId);
+        if (!chatData) {
+            logError('Failed to load chat data for', chatId);
+            run.errors.push('Failed to load chat data.');
+            return false;
+        }
+
+        if (!resume) {
+            chatData.chat.push(buildHeartbeatMessage(config, payload));
+            await saveChatData(chatId, chatData);
+        }
+
+        // One wall-clock budget for the whole heartbeat, auto-queue included.
+        const deadline = Date.now() + Math.max(config.heartbeatTimeoutSeconds, 10) * 1000;
+
+        const result = await runToolLoop(chatId, chatData, config, deadline, run);
+
+        // Auto-queue: keep the task going until the model calls finish.
+        if (config.autoQueue && _runningLoops.has(chatId)) {
+            await runAutoQueue(chatId, chatData, config, deadline, result, run);
         }
 
         log('Heartbeat fired for', chatId);
+        return true;
     } catch (e) {
         logError('Heartbeat generation failed for', chatId, ':', e);
+        run.errors.push(`Heartbeat generation failed: ${e.message}`);
+        return false;
     } finally {
+        // One last write carries the bookkeeping staged during the tick
+        // (run times, usage, parked calls) along with the transcript.
+        if (chatData) await saveChatData(chatId, chatData);
         loopState.isGenerating = false;
     }
 }
 
+function buildHeartbeatMessage(config, payload) {
+    return {
+        is_user: true,
+        name: 'User',
+        send_date: new Date().toISOString(),
+        mes: (config.heartbeatMessage || '[heartbeat]').replace(TRIGGER_PAYLOAD_MACRO, () => payload),
+    };
+}
+
+/**
+ * Auto-queue continuation.  Re-prompts with autoQueuePrompt after every reply
+ * until the finish tool stops the loop.  Bounded by a per-task continuation
+ * budget; if the model keeps giving the same reply, the delay doubles per
+ * repeat and after autoQueueStallThreshold repeats the subroutine is paused.
+ */
+async function runAutoQueue(chatId, chatData, config, deadline, result, run) {
+    let lastReply = normalizeReply(getReplyText(result));
+    let repeats   = 1;
+
+    // Parked tool calls end the turn; the approval tick picks auto-queue back up.
+    for (let continuation = 1; _runningLoops.has(chatId) && !hasPendingApprovals(chatId); continuation++) {
+        if (continuation > config.autoQueueMaxContinuations) {
+            await pauseSubroutine(chatId,
+                `Auto-queue used all ${config.autoQueueMaxContinuations} continuation(s) without the model calling finish.`);
+            return;
+        }
+
+        await sleep(config.autoQueueDelaySeconds * 1000 * 2 ** (repeats - 1));
+        if (!_runningLoops.has(chatId)) return;   // stopped while we waited
+
+        logDebug('Auto-queue: continuation', continuation, 'for', chatId);
+
+        const autoQueueMsg = {
+            is_user: true,
+            name: 'User',
+            send_date: new Date().toISOString(),
+            mes: config.autoQueuePrompt || 'Continue or call the finish tool if done.',
+        };
+        chatData.chat.push(autoQueueMsg);
+        await saveChatData(chatId, chatData);
+
+        result = await runToolLoop(chatId, chatData, config, deadline, run);
+
+        const reply = normalizeReply(getReplyText(result));
+        if (reply && reply === lastReply) {
+            repeats++;
+        } else {
+            lastReply = reply;
+            repeats   = 1;
+        }
+
+        if (repeats >= config.autoQueueStallThreshold && _runningLoops.has(chatId)) {
+            await pauseSubroutine(chatId,
+                `Stalled: the model gave the same reply ${repeats} times in a row.`);
+            return;
+        }
+    }
+}
+
+/**
+ * Stop a subroutine on the runtime's own initiative and record why, so the
+ * panel can show the reason until the user starts it again.
+ * @param {string} chatId
+ * @param {string} reason
+ * @param {Partial<SubroutineConfig>} [patch] - extra config fields to persist with the pause
+ */
+async function pauseSubroutine(chatId, reason, patch = {}) {
+    const config = getSubroutineConfig(chatId);
+    if (config) {
+        Object.assign(config, patch);
+        config.running      = false;
+        config.pausedReason = reason;
+        config.pausedAt     = new Date().toISOString();
+        await saveSubroutineConfig(chatId, config);
+    }
+
+    stopLoop(chatId);
+
+    const { eventSource } = SillyTavern.getContext();
+    await eventSource.emit('sa:subroutine-paused', { chatId, reason });
+
+    if (patch.state === 'error') toastr.error(reason, 'Subroutine stopped');
+    else                         toastr.warning(reason, 'Subroutine paused');
+    logWarn('Subroutine paused:', chatId, '—', reason);
+}
+
+/**
+ * Agent loop: generate, execute any requested tools, regenerate — until the
+ * model answers without tool calls, the round cap is reached, or the heartbeat
+ * deadline passes (which throws).  Every reply and every tool result is
+ * written to the chat as it happens.
+ * @returns {Promise<object>} the last generation result
+ */
+async function runToolLoop(chatId, chatData, config, deadline, run) {
+    const maxRounds = Math.max(config.maxToolRounds, 1);
+
+    let result = await generate(chatId, deadline, run);
+    await recordReply(chatId, chatData, result);
+
+    // Stop as soon as the loop is stopped (finish tool, user, budget pause).
+    for (let round = 1; hasToolCalls(result) && _runningLoops.has(chatId); round++) {
+        if (round > maxRounds) {
+            logWarn('Tool round cap', maxRounds, 'reached for', chatId, '— dropping', result.tool_calls.length, 'pending call(s)');
+            await appendSystemMessage(chatId, chatData,
+                `[Tool loop stopped after ${maxRounds} round(s); the last tool calls were not executed.]`);
+            break;
+        }
+
+        logDebug('Tool round', round, 'with', result.tool_calls.length, 'tool call(s) for', chatId);
+        await executeToolCalls(chatId, chatData, result.tool_calls, run, round, deadline);
+
+        // The finish tool (or the user) stopped the loop — don't ask for more.
+        if (!_runningLoops.has(chatId)) break;
+
+        // Some calls wait for the user; the model can't go on without their results.
+        if (hasPendingApprovals(chatId)) break;
+
+        // Generate again so the model can react to the tool results.
+        result = await generate(chatId, deadline, run);
+        await recordReply(chatId, chatData, result);
+    }
+
+    return result;
+}
+
+/** One timed generateFromChatId call, bounded by the heartbeat deadline. */
+async function generate(chatId, deadline, run) {
+    const started = Date.now();
+    const request = {};   // the assembled prompt, for estimating its tokens
+    let result;
+    try {
+        const config = getSubroutineConfig(chatId);
+        const toolFilter = config ? toolFilterFor(config) : null;
+        result = await withDeadline(generateFromChatId(chatId, {}, { toolFilter, trace: request }), deadline);
+    } finally {
+        run.generationMs += Date.now() - started;
+        run.generations++;
+    }
+    await recordUsage(chatId, result, run, request);
+    return result;
+}
+
+/**
+ * The subroutine's tool filter for generateFromChatId.  Whether finish is on
+ * offer is decided here, per generation, from this subroutine's own config:
+ * auto-queue subroutines always get it (they can't end without it), others
+ * never do, whatever the list or the open chat says.
+ * @param {SubroutineConfig} config
+ * @returns {import('./gen.js').ToolFilter}
+ */
+function toolFilterFor(config) {
+    return {
+        mode:   config.toolFilterMode,
+        names:  config.toolFilterList.filter(name => name !== FINISH_TOOL_NAME),
+        always: config.autoQueue ? [FINISH_TOOL_NAME] : [],
+        never:  config.autoQueue ? [] : [FINISH_TOOL_NAME],
+    };
+}
+
+/**
+ * Run one round of tool calls and append each result to the chat.  Calls to
+ * tools that weren't offered are refused; calls to tools that need approval
+ * are parked instead (see resolveApproval()).  Each call shares the
+ * heartbeat's deadline; one that overruns is reported to the model as an error.
+ */
+async function executeToolCalls(chatId, chatData, toolCalls, run, round, deadline) {
+    const config        = getSubroutineConfig(chatId);
+    const approvalTools = parseToolList(config?.approvalTools);
+    const offered       = new Set(selectTools(config ? toolFilterFor(config) : null).map(getToolName));
+
+    for (const toolCall of toolCalls) {
+        if (!offered.has(toolCall.function.name)) {
+            // A model can name any tool it likes; only run the ones it was given.
+            const message = `Tool "${toolCall.function.name}" is not available to this subroutine.`;
+            logWarn(message, '—', chatId);
+            run.errors.push(message);
+            run.toolCalls.push({
+                name:      toolCall.function.name,
+                arguments: parsePayload(toolCall.function.arguments || '{}'),
+                result:    message,
+                round,
+            });
+            await appendToolResult(chatId, chatData, toolCall.id, toolCall.function.name, `Error: ${message}`);
+            continue;
+        }
+
+        if (approvalTools.includes(toolCall.function.name)) {
+            await parkToolCall(chatId, toolCall, run, round);
+            continue;
+        }
+
+        let toolResult;
+        let args = {};
+        try {
+            args = JSON.parse(toolCall.function.arguments || '{}');
+            // A hung tool (say, a fetch with no timeout) must not hold the heartbeat forever.
+            toolResult = await withDeadline(invokeTool(chatId, toolCall.function.name, args), deadline);
+        } catch (e) {
+            logError('Tool execution failed:', toolCall.function.name, e);
+            toolResult = `Error: ${e.message}`;
+            run.errors.push(`Tool ${toolCall.function.name} failed: ${e.message}`);
+        }
+
+        run.toolCalls.push({
+            name:      toolCall.function.name,
+            arguments: args,
+            result:    truncateForHistory(toolResult),
+            round,
+        });
+
+        await appendToolResult(chatId, chatData, toolCall.id, toolCall.function.name, toolResult);
+    }
+}
+
+async function invokeTool(chatId, name, args) {
+    // finish is handled here rather than through ToolManager so it acts
+    // on this chat, not whichever chat happens to be open in the tab.
+    return name === FINISH_TOOL_NAME
+        ? await finishSubroutine(chatId, args)
+        : await SillyTavern.getContext().ToolManager.invokeFunctionTool(name, args);
+}
+
+async function appendToolResult(chatId, chatData, toolCallId, name, toolResult) {
+    const toolMessage = {
+        is_user: false,
+        name: 'System',
+        send_date: new Date().toISOString(),
+        mes: `[Tool: ${name}]\n${toolResult}`,
+        extra: { tool_call_id: toolCallId }
+    };
+    chatData.chat.push(toolMessage);
+    await saveChatData(chatId, chatData);
+}
+
+/** Append the model's reply (text plus any tool calls it made) to the chat. */
+async function recordReply(chatId, chatData, result) {
+    const text = getReplyText(result);
+    if (!text && !hasToolCalls(result)) return;
+
+    chatData.chat.push({
+        is_user: false,
+        name: chatData.character_name || 'Assistant',
+        send_date: new Date().toISOString(),
+        mes: text,
+        extra: hasToolCalls(result) ? { tool_calls: result.tool_calls } : {},
+    });
+    await saveChatData(chatId, chatData);
+
+    if (text.trim()) await emitOutput(chatId, 'message', text);
+}
+
+async function appendSystemMessage(chatId, chatData, text) {
+    chatData.chat.push({
+        is_user: false,
+        name: 'System',
+        send_date: new Date().toISOString(),
+        mes: text,
+    });
+    await saveChatData(chatId, chatData);
+}
+
+function hasToolCalls(result) {
+    return Array.isArray(result?.tool_calls) && result.tool_calls.length > 0;
+}
+
+/** generateRaw may hand back a plain string or a message-shaped object. */
+function getReplyText(result) {
+    if (typeof result === 'string') return result;
+    return result?.content ?? result?.message?.content ?? '';
+}
+
+/** Whitespace- and case-insensitive form of a reply, for stall detection. */
+function normalizeReply(text) {
+    return String(text ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function sleep(ms) {
+    return new Promise(r => setTimeout(r, ms));
+}
+
+/** Reject if `promise` hasn't settled by `deadline` (epoch ms). */
+function withDeadline(promise, deadline) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) return Promise.reject(new Error('Heartbeat wall-clock limit exceeded'));
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Heartbeat wall-clock limit exceeded')), remaining);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// ─── token budget ────────────────────────────────────────────────────────────
+
+/**
+ * Add one generation's tokens to the subroutine's usage counters and pause it
+ * once a cap is reached.
+ */
+async function recordUsage(chatId, result, run, request) {
+    const config = getSubroutineConfig(chatId);
+    if (!config) return;
+
+    const { tokens, cost } = await measureUsage(chatId, result, request);
+    const total = tokens.prompt + tokens.completion;
+    run.tokens  += total;
+    config.usage = addUsage(config.usage, total, cost);
+    stageSubroutineConfig(chatId, config);   // persisted by the heartbeat's chat write
+    await SillyTavern.getContext().eventSource.emit('sa:usage-updated', { chatId });
+
+    const overBudget = checkBudget(config);
+    if (overBudget && _runningLoops.has(chatId)) await pauseSubroutine(chatId, overBudget);
+}
+
+/**
+ * One generation's tokens and estimated cost.  Results that report no usage
+ * are estimated with ST's tokenizer from the assembled prompt (`request`,
+ * generateFromChatId's trace) plus the reply, so caps still hold.
+ * @returns {Promise<{ tokens: { prompt: number, completion: number }, cost: number }>}
+ */
+async function measureUsage(chatId, result, request) {
+    const context = SillyTavern.getContext();
+    let tokens = readUsage(result);
+    if (!tokens) {
+        // generateRaw usually hands back bare text.  The prompt — the whole
+        // context, re-sent every round — is most of the cost, so count it too.
+        tokens = { prompt: await estimatePromptTokens(request), completion: await estimateCompletionTokens(result) };
+        logDebug('No usage reported for', chatId, '— estimated', tokens.prompt, 'prompt and',
+            tokens.completion, 'completion token(s)');
+    }
+
+    let cost = 0;
+    try {
+        const model = result?.model || context.getChatCompletionModel?.() || '';
+        cost = estimateCost(parseModelPrices(getGlobalSettings().modelPrices), model, tokens) ?? 0;
+    } catch (e) {
+        logWarn('Ignoring model prices:', e.message);
+    }
+    return { tokens, cost };
+}
+
+/** @param {{ messages?: object[], tools?: object[] }} request - generateFromChatId's trace */
+async function estimatePromptTokens(request) {
+    const messages = (request?.messages ?? [])
+        .map(m => typeof m.content === 'string' ? m.content : JSON.stringify(m.content ?? ''));
+    const tools = request?.tools?.length ? JSON.stringify(request.tools) : '';
+    return countTokens([...messages, tools].join('\n'));
+}
+
+async function estimateCompletionTokens(result) {
+    return countTokens(getReplyText(result) + (hasToolCalls(result) ? JSON.stringify(result.tool_calls) : ''));
+}
+
+async function countTokens(text) {
+    if (!text) return 0;
+    const { getTokenCountAsync } = SillyTavern.getContext();
+    return getTokenCountAsync ? await getTokenCountAsync(text) : Math.ceil(text.length / 4);
+}
+
+// ─── approvals ───────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} PendingApproval
+ * @property {string} id          - random id, for resolveApproval()
+ * @property {string} toolCallId  - the model's tool call id, so the result pairs with the call
+ * @property {string} name        - tool name
+ * @property {string} arguments   - arguments as the model sent them (JSON text)
+ * @property {string} requestedAt - ISO timestamp
+ */
+
+/** @returns {string[]} tool names from a comma- or newline-separated list */
+function parseToolList(text) {
+    return String(text ?? '').split(/[\n,]/).map(s => s.trim()).filter(Boolean);
+}
+
+function hasPendingApprovals(chatId) {
+    return (getSubroutineConfig(chatId)?.pendingApprovals.length ?? 0) > 0;
+}
+
+/** Persist a tool call for the user to decide on, instead of running it. */
+async function parkToolCall(chatId, toolCall, run, round) {
+    const config = getSubroutineConfig(chatId);
+    if (!config) return;
+
+    /** @type {PendingApproval} */
+    const approval = {
+        id:          crypto.randomUUID(),
+        toolCallId:  toolCall.id,
+        name:        toolCall.function.name,
+        arguments:   toolCall.function.arguments || '{}',
+        requestedAt: new Date().toISOString(),
+    };
+    config.pendingApprovals = [...config.pendingApprovals, approval];
+    stageSubroutineConfig(chatId, config);   // persisted by the heartbeat's chat write
+
+    run.toolCalls.push({ name: approval.name, arguments: parsePayload(approval.arguments), result: 'Awaiting approval', round });
+    log('Tool call', approval.name, 'for', chatId, 'is awaiting approval');
+
+    const { eventSource } = SillyTavern.getContext();
+    await eventSource.emit('sa:approval-requested', { chatId, approval });
+}
+
+/**
+ * Decide on a parked tool call.  Approving runs the tool (with `args` in place
+ * of the model's arguments, if given); rejecting tells the model so.  Either
+ * way the outcome is written to the chat as the call's result, and once no
+ * calls are left waiting the loop resumes the model's turn.
+ * @param {string} chatId
+ * @param {string} approvalId
+ * @param {'approve'|'reject'} decision
+ * @param {Object} [options]
+ * @param {Object|null} [options.args] - edited arguments to run the tool with
+ * @param {string} [options.note]      - the user's reason, passed on with a rejection
+ * @returns {Promise<boolean>} false if the call was already decided elsewhere
+ */
+export async function resolveApproval(chatId, approvalId, decision, { args = null, note = '' } = {}) {
+    if (!getSubroutineConfig(chatId) && !(await loadSubroutineConfig(chatId))) return false;
+
+    // Drop it first, so a second click (toast and panel) can't run the tool
+    // twice.  Off the chat file unless this context runs the loop: the owner
+    // may be elsewhere, and it is the file it will compare against.
+    let approval = null;
+    const config = await updateSubroutineConfig(chatId, current => {
+        approval = current.pendingApprovals.find(a => a.id === approvalId) ?? null;
+        return { pendingApprovals: current.pendingApprovals.filter(a => a.id !== approvalId) };
+    }, { keepRuntime: holdsLease(chatId) });
+    if (!approval) return false;
+
+    let toolResult;
+    if (decision === 'approve') {
+        try {
+            const deadline = Date.now() + Math.max(config.heartbeatTimeoutSeconds, 10) * 1000;
+            toolResult = await withDeadline(invokeTool(chatId, approval.name, args ?? JSON.parse(approval.arguments)), deadline);
+            if (args) toolResult = `[The user edited the arguments to ${JSON.stringify(args)}]\n${toolResult}`;
+        } catch (e) {
+            logError('Approved tool call failed:', approval.name, e);
+            toolResult = `Error: ${e.message}`;
+        }
+    } else {
+        toolResult = `The user rejected this tool call.${note ? ` Reason: ${note}` : ''}`;
+    }
+
+    const chatData = await loadChatData(chatId);
+    if (chatData) await appendToolResult(chatId, chatData, approval.toolCallId, approval.name, toolResult);
+    log('Tool call', approval.name, 'for', chatId, decision === 'approve' ? 'approved' : 'rejected');
+
+    const { eventSource } = SillyTavern.getContext();
+    await eventSource.emit('sa:approval-resolved', { chatId, approvalId, decision });
+
+    // Resume the model's turn where the loop runs.  Another context holding
+    // the lease notices at its next approval sync; with no loop anywhere, the
+    // next heartbeat picks up from here.
+    const ownedElsewhere = !holdsLease(chatId) && getLoopOwner(chatId);
+    if (config.pendingApprovals.length === 0 && !ownedElsewhere) {
+        queueEvent(chatId, { reason: 'approval', data: '', chain: [] });
+    }
+    return true;
+}
+
+/** Compare every running loop's parked calls with its chat file. */
+async function syncApprovals() {
+    for (const [chatId, loopState] of [..._runningLoops]) {
+        const config = getSubroutineConfig(chatId);
+        if (!config || (!parseToolList(config.approvalTools).length && !config.pendingApprovals.length)) continue;
+        try {
+            await syncApprovalsFor(chatId, config, loopState);
+        } catch (e) {
+            logWarn('Failed to sync tool approvals for', chatId, e);
+        }
+    }
+}
+
+/**
+ * The owner trusts its own list, except for calls missing from the file —
+ * those were decided in another context.  (Between heartbeats every call it
+ * parked is on disk: the heartbeat's last write carries them.)  A context
+ * standing by takes the file's list and announces the calls it hadn't seen.
+ */
+async function syncApprovalsFor(chatId, config, loopState) {
+    const chatData = await SillyTavern.getContext().loadChat(chatId);
+    const stored   = chatData?.chat_metadata?.sillyagents?.pendingApprovals ?? [];
+    const storedIds = new Set(stored.map(a => a.id));
+    const seenIds   = _approvalsOnDisk.get(chatId) ?? new Set();
+    _approvalsOnDisk.set(chatId, storedIds);
+
+    const { eventSource } = SillyTavern.getContext();
+
+    if (holdsLease(chatId)) {
+        if (loopState.isGenerating) return;   // calls parked this heartbeat aren't written yet
+
+        const decided = config.pendingApprovals.filter(a => !storedIds.has(a.id));
+        if (decided.length === 0) return;
+
+        config.pendingApprovals = config.pendingApprovals.filter(a => storedIds.has(a.id));
+        stageSubroutineConfig(chatId, config);
+        for (const approval of decided) {
+            await eventSource.emit('sa:approval-resolved', { chatId, approvalId: approval.id, decision: null });
+        }
+        log(decided.length, 'tool call(s) for', chatId, 'were decided in another context — resuming');
+        if (config.pendingApprovals.length === 0) queueEvent(chatId, { reason: 'approval', data: '', chain: [] });
+        return;
+    }
+
+    config.pendingApprovals = stored;
+    stageSubroutineConfig(chatId, config);
+    for (const approval of stored.filter(a => !seenIds.has(a.id))) {
+        await eventSource.emit('sa:approval-requested', { chatId, approval });
+    }
+    for (const approvalId of [...seenIds].filter(id => !storedIds.has(id))) {
+        await eventSource.emit('sa:approval-resolved', { chatId, approvalId, decision: null });
+    }
+}
+
+// ─── finish tool ─────────────────────────────────────────────────────────────
+
+/**
+ * Register the real "finish" function tool with ToolManager so models can see
+ * and call it.  Heartbeats route calls straight to finishSubroutine() (see
+ * executeToolCalls); the action below covers generations ST runs itself in
+ * the open chat.
+ */
+function registerFinishTool() {
+    const { registerFunctionTool } = SillyTavern.getContext();
+    if (typeof registerFunctionTool !== 'function') {
+        logWarn('registerFunctionTool not available — finish tool not registered.');
+        return;
+    }
+
+    registerFunctionTool({
+        name:        FINISH_TOOL_NAME,
+        displayName: 'Finish Subroutine',
+        description: 'Signal that the current subroutine task is fully complete. '
+                   + 'Stops the subroutine loop. Only call this when no further action is needed.',
+        parameters: {
+            $schema: 'http://json-schema.org/draft-04/schema#',
+            type: 'object',
+            properties: {
+                summary: {
+                    type: 'string',
+                    description: 'Short summary of what was accomplished.',
+                },
+                status: {
+                    type: 'string',
+                    enum: ['success', 'partial', 'failed'],
+                    description: 'Outcome of the task.',
+                },
+            },
+            required: ['summary'],
+        },
+        action:         (args) => finishSubroutine(getCurrentChatId(), args),
+        formatMessage:  () => 'Finishing subroutine…',
+        shouldRegister: isFinishToolOffered,
+    });
+}
+
+/**
+ * shouldRegister for ST's own generations, which only ever run in the open
+ * chat: offer finish there when it is an auto-queue subroutine.  Heartbeats
+ * decide for themselves through toolFilterFor().
+ */
+function isFinishToolOffered() {
+    return !!getSubroutineConfig()?.autoQueue;
+}
+
+/**
+ * End a subroutine: persist running: false plus the final summary, stop its
+ * loop and tell the panel.
+ * @param {string} chatId
+ * @param {{ summary?: string, status?: string }} [args]
+ * @returns {Promise<string>} tool result handed back to the model
+ */
+export async function finishSubroutine(chatId, args = {}) {
+    const config = getSubroutineConfig(chatId);
+    if (!config) return 'This chat is not a subroutine; there is nothing to finish.';
+
+    const chain = outputChain(chatId);   // before stopLoop() drops the loop state
+
+    config.running       = false;
+    config.finishSummary = String(args.summary ?? '').trim();
+    config.finishStatus  = String(args.status ?? 'success');
+    config.finishedAt    = new Date().toISOString();
+    await saveSubroutineConfig(chatId, config);
+
+    stopLoop(chatId);
+
+    const { eventSource } = SillyTavern.getContext();
+    await eventSource.emit('sa:subroutine-finished', {
+        chatId,
+        summary: config.finishSummary,
+        status:  config.finishStatus,
+    });
+    await emitOutput(chatId, 'finish', config.finishSummary, chain);
+
+    log('Subroutine finished:', chatId, `(${config.finishStatus})`, config.finishSummary);
+    return 'Subroutine finished. The loop has been stopped.';
+}
+
+// ─── chaining ────────────────────────────────────────────────────────────────
+
+/** Upstreams that led to chatId's current tick, plus chatId itself. */
+function outputChain(chatId) {
+    return [...(_runningLoops.get(chatId)?.chain ?? []), chatId];
+}
+
+/**
+ * Announce a subroutine's output so chained subroutines can fire on it.
+ * @param {string} chatId
+ * @param {'finish'|'message'} kind
+ * @param {string} output
+ * @param {string[]} [chain]
+ */
+async function emitOutput(chatId, kind, output, chain = outputChain(chatId)) {
+    const { eventSource } = SillyTavern.getContext();
+    await eventSource.emit('sa:subroutine-output', { chatId, kind, output, chain });
+}
+
+/**
+ * Fire every running downstream of `chatId` that waits for this kind of
+ * output.  A downstream already in the chain would loop forever, so it is
+ * paused instead.
+ *
+ * Events are local to this browser context: a downstream whose loop is owned
+ * by another context skips the tick (see onTick), so chained subroutines
+ * should share a runIn policy.
+ */
+async function onSubroutineOutput({ chatId, kind, output, chain = [chatId] }) {
+    for (const downstreamId of [..._runningLoops.keys()]) {
+        const config = getSubroutineConfig(downstreamId);
+        if (config?.triggerType !== 'subroutine' || config.upstreamChatId !== chatId) continue;
+        if (config.upstreamEvent !== 'any' && config.upstreamEvent !== kind) continue;
+
+        if (chain.includes(downstreamId)) {
+            const cycle = [...chain.slice(chain.indexOf(downstreamId)), downstreamId].join(' → ');
+            await pauseSubroutine(downstreamId, `Subroutine chain loops back on itself: ${cycle}`);
+            continue;
+        }
+
+        logDebug('Upstream', chatId, kind, '→ firing', downstreamId);
+        queueEvent(downstreamId, { reason: 'upstream', data: output, chain });
+    }
+}
+
+/**
+ * Would making `chatId` wait on `upstreamChatId` create a loop?  Follows the
+ * upstream links of the stored configs.
+ * @param {string} chatId
+ * @param {string} upstreamChatId
+ * @returns {Promise<string[]|null>} the cycle, starting and ending at chatId, or null
+ */
+export async function findChainCycle(chatId, upstreamChatId) {
+    const path = [chatId];
+    let current = upstreamChatId;
+
+    while (current) {
+        if (current === chatId) return [...path, chatId];
+        if (path.includes(current)) return null;   // a loop further up, not through chatId
+        path.push(current);
+
+        const config = getSubroutineConfig(current) ?? await loadSubroutineConfig(current).catch(() => null);
+        if (config?.triggerType !== 'subroutine') return null;
+        current = config.upstreamChatId;
+    }
+    return null;
+}
+
 /** Helper to load chat data from file */
 async function loadChatData(chatId) {
     try {
@@ -336,6 +1974,18 @@ async function loadChatData(chatId) {
 /** Helper to save chat data to file */
 async function saveChatData(chatId, chatData) {
     try {
+        // chatData was loaded at the start of the heartbeat; carry the latest
+        // config into it so this write can't roll back a finish or panel edit.
+        // Except the lease: leader.js writes that on its own, and our cached
+        // copy may predate another context taking over — keep the newest seen.
+        const config = getSubroutineConfig(chatId);
+        if (config && chatData.chat_metadata) {
+            const onFile = chatData.chat_metadata.sillyagents?.owner ?? null;
+            const known  = getLoopOwner(chatId);
+            const owner  = (known?.renewedAt ?? 0) > (onFile?.renewedAt ?? 0) ? known : onFile;
+            chatData.chat_metadata.sillyagents = { ...config, owner };
+        }
+
         const { saveChat } = SillyTavern.getContext();
         await saveChat(chatId, chatData);
     } catch (e) {
@@ -365,8 +2015,8 @@ function onConfigChanged(data) {
         startLoop(chatId);
     } else if (!config.running && isRunning) {
         stopLoop(chatId);
-    } else if (isRunning) {
-        // Still running but something changed (e.g. interval) — restart.
+    } else if (isRunning && _runningLoops.get(chatId).armedWith !== armSignature(config)) {
+        // Still running but its schedule or trigger source changed — re-arm.
         restartLoop(chatId);
     }
 }
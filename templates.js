@@ -0,0 +1,337 @@
+/**
+ * SillyAgents — Subroutine templates.
+ *
+ * Responsibilities:
+ *   • Export the open subroutine's setup — trigger config, heartbeat and
+ *     auto-queue prompts, colour, tool lists, attached skills (as references,
+ *     or embedded whole) — as a portable `.subroutine.json` file.
+ *   • Import a template as a new, stopped subroutine chat for a character the
+ *     user picks, adding embedded skills to the library and re-attaching them.
+ *   • Check a template against this install before importing: tools it names
+ *     that aren't registered, skills that are neither embedded nor in the
+ *     library, and settings left out of the file.
+ *
+ * Runtime bookkeeping (usage, errors, parked approvals…) never leaves the
+ * chat, nor do settings tied to this install: the API auth token and the
+ * upstream chat of a chained trigger.
+ *
+ * Communication contract:
+ *   LISTENS FOR:
+ *     (none — the panel's Export button and the chat list's Import button call us)
+ *   EMITS:
+ *     (none directly — createSubroutine emits sa:subroutine-created for the new chat)
+ */
+
+import {
+    getSubroutineConfig, defaultSubroutineConfig, getCurrentChatId, RUNTIME_CONFIG_KEYS, log, logError,
+} from './utils.js';
+import { createSubroutine } from './chat-list.js';
+import { getSkillLibrary, addSkill, getAttachedSkillIds, attachSkillToCurrentChat } from './skills.js';
+import { getToolName } from './gen.js';
+
+const TEMPLATE_FORMAT  = 'sillyagents-subroutine';
+const TEMPLATE_VERSION = 1;
+
+// Settings that only make sense in this install; left out and listed in
+// `omitted` so the importer knows to fill them in.
+const LOCAL_CONFIG_KEYS = ['running', 'apiAuthToken', 'upstreamChatId'];
+
+// ─── types ───────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} SubroutineTemplate
+ * @property {string}   format      - always 'sillyagents-subroutine'
+ * @property {number}   version
+ * @property {string}   name        - the subroutine's display name
+ * @property {string}   exportedAt  - ISO timestamp
+ * @property {Partial<SubroutineConfig>} config - portable settings only
+ * @property {TemplateSkill[]} skills
+ * @property {string[]} omitted     - LOCAL_CONFIG_KEYS that were set in the original
+ */
+
+/**
+ * @typedef {Object} TemplateSkill
+ * @property {string} id
+ * @property {string} name
+ * @property {Skill}  [skill] - the whole skill, when embedded
+ */
+
+/**
+ * @typedef {Object} TemplateCheck
+ * @property {string[]} missingTools  - named by the template, not registered here
+ * @property {string[]} missingSkills - referenced but neither embedded nor in the library
+ * @property {string[]} omitted       - settings to re-enter after import
+ */
+
+// ─── export ──────────────────────────────────────────────────────────────────
+
+/**
+ * Build a template from the open subroutine chat (skill attachments are only
+ * readable for the open chat).
+ * @param {Object}  [options]
+ * @param {boolean} [options.embedSkills] - include attached skills whole, not just by name
+ * @returns {SubroutineTemplate}
+ */
+export function buildTemplate({ embedSkills = false } = {}) {
+    const context = SillyTavern.getContext();
+    const chatId  = getCurrentChatId();
+    const config  = getSubroutineConfig(chatId);
+    if (!config) throw new Error('The open chat is not a subroutine.');
+
+    const defaults = defaultSubroutineConfig();
+    const library  = getSkillLibrary();
+
+    return {
+        format:     TEMPLATE_FORMAT,
+        version:    TEMPLATE_VERSION,
+        name:       context.chatMetadata?.custom_name || String(chatId).replace(/\.jsonl?$/, ''),
+        exportedAt: new Date().toISOString(),
+        config:     portableConfig(config),
+        skills:     getAttachedSkillIds()
+            .map(id => library.find(s => s.id === id))
+            .filter(Boolean)
+            .map(skill => embedSkills
+                ? { id: skill.id, name: skill.name, skill }
+                : { id: skill.id, name: skill.name }),
+        omitted:    LOCAL_CONFIG_KEYS.filter(key => key !== 'running' && config[key] !== defaults[key]),
+    };
+}
+
+/**
+ * Ask whether to embed attached skills, then download the open subroutine's
+ * template.
+ */
+export async function exportCurrentSubroutine() {
+    try {
+        let embedSkills = false;
+        const attached  = getAttachedSkillIds().length;
+        if (attached > 0) {
+            const { Popup } = SillyTavern.getContext();
+            embedSkills = !!(await Popup.show.confirm(
+                'Export Subroutine',
+                `Embed the ${attached} attached skill(s) in the template? Otherwise the template only names them, ` +
+                'and whoever imports it needs the same skills in their library.',
+            ));
+        }
+
+        const template = buildTemplate({ embedSkills });
+        const blob = new Blob([JSON.stringify(template, null, 2)], { type: 'application/json' });
+        const url  = URL.createObjectURL(blob);
+        const a    = document.createElement('a');
+        a.href     = url;
+        a.download = `${template.name.replace(/[^a-z0-9]/gi, '_')}.subroutine.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    } catch (e) {
+        logError('Template export failed:', e);
+        toastr.error(e.message, 'Export failed');
+    }
+}
+
+function portableConfig(config) {
+    const result = {};
+    for (const key of Object.keys(defaultSubroutineConfig())) {
+        if (RUNTIME_CONFIG_KEYS.includes(key) || LOCAL_CONFIG_KEYS.includes(key)) continue;
+        result[key] = structuredClone(config[key]);
+    }
+    // A tool rule's last result is runtime state, like lastToolResult.
+    result.compositeRules = (result.compositeRules ?? []).map(rule => ({ ...rule, lastResult: null }));
+    return result;
+}
+
+// ─── parse / check ───────────────────────────────────────────────────────────
+
+/**
+ * @param {string} text - a template file's contents
+ * @returns {SubroutineTemplate} with unknown, runtime and local config keys dropped
+ */
+export function parseTemplate(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Not a JSON file: ${e.message}`);
+    }
+    if (data?.format !== TEMPLATE_FORMAT) throw new Error('Not a SillyAgents subroutine template.');
+    if (!(data.version <= TEMPLATE_VERSION)) {
+        throw new Error(`Template version ${data.version} is newer than this SillyAgents supports (${TEMPLATE_VERSION}).`);
+    }
+    if (!data.config || typeof data.config !== 'object') throw new Error('Template has no config.');
+
+    const defaults = defaultSubroutineConfig();
+    const config   = {};
+    for (const [key, value] of Object.entries(data.config)) {
+        if (!(key in defaults) || RUNTIME_CONFIG_KEYS.includes(key) || LOCAL_CONFIG_KEYS.includes(key)) continue;
+        if (Array.isArray(defaults[key]) !== Array.isArray(value) || typeof defaults[key] !== typeof value) {
+            throw new Error(`Template setting "${key}" has the wrong type.`);
+        }
+        config[key] = value;
+    }
+
+    const skills = Array.isArray(data.skills) ? data.skills : [];
+    for (const ref of skills) {
+        if (typeof ref?.id !== 'string' || typeof ref?.name !== 'string') throw new Error('Template has a malformed skill entry.');
+        if (ref.skill && typeof ref.skill.skillMdContent !== 'string') throw new Error(`Embedded skill "${ref.name}" has no SKILL.md.`);
+    }
+
+    return {
+        format:     TEMPLATE_FORMAT,
+        version:    data.version,
+        name:       String(data.name || 'Imported Subroutine'),
+        exportedAt: String(data.exportedAt ?? ''),
+        config,
+        skills,
+        omitted:    Array.isArray(data.omitted) ? data.omitted.map(String) : [],
+    };
+}
+
+/**
+ * What the template needs that this install lacks.
+ * @param {SubroutineTemplate} template
+ * @returns {TemplateCheck}
+ */
+export function checkTemplate(template) {
+    const { ToolManager } = SillyTavern.getContext();
+    const registered = (ToolManager?.tools ?? ToolManager?.instance?.tools ?? []).map(getToolName).filter(Boolean);
+
+    return {
+        missingTools:  [...new Set(referencedTools(template.config))].filter(name => !registered.includes(name)),
+        missingSkills: template.skills.filter(ref => !ref.skill && !findSkill(ref)).map(ref => ref.name),
+        omitted:       template.omitted,
+    };
+}
+
+/** Every tool name a config relies on: trigger tools, the allow / deny list and approval-gated tools. */
+function referencedTools(config) {
+    const names = [];
+    if (config.triggerType === 'tool' && config.toolName) names.push(config.toolName);
+    if (config.triggerType === 'composite') {
+        for (const rule of config.compositeRules ?? []) {
+            if (rule.type === 'tool' && rule.toolName) names.push(rule.toolName);
+        }
+    }
+    if (config.toolFilterMode && config.toolFilterMode !== 'all') names.push(...(config.toolFilterList ?? []));
+    names.push(...String(config.approvalTools ?? '').split(/[\n,]/).map(s => s.trim()).filter(Boolean));
+    return names;
+}
+
+/** The library's copy of a referenced skill — same id, else same name. */
+function findSkill(ref) {
+    const library = getSkillLibrary();
+    return library.find(s => s.id === ref.id) ?? library.find(s => s.name === ref.name) ?? null;
+}
+
+// ─── import ──────────────────────────────────────────────────────────────────
+
+/**
+ * Create a stopped subroutine chat from a template for a character, then
+ * attach its skills (adding embedded ones the library lacks).
+ * @param {SubroutineTemplate} template
+ * @param {string} characterId - index into context.characters
+ * @returns {Promise<string>} the new chat's id
+ */
+export async function importTemplate(template, characterId) {
+    const context = SillyTavern.getContext();
+    if (String(context.characterId) !== String(characterId)) {
+        await context.selectCharacterById(String(characterId));
+    }
+
+    const chatId = await createSubroutine(template.name, { start: false, config: structuredClone(template.config) });
+
+    for (const ref of template.skills) {
+        let skill = findSkill(ref);
+        if (!skill && ref.skill) {
+            skill = { ...ref.skill, importedAt: Date.now() };
+            await addSkill(skill);
+        }
+        if (skill) await attachSkillToCurrentChat(skill.id);
+    }
+
+    log('Subroutine imported from template:', template.name, '→', chatId);
+    return chatId;
+}
+
+/**
+ * Read a template file, let the user pick the character it's for (showing
+ * what's missing), and import it.
+ * @param {File} file
+ */
+export async function importTemplateFile(file) {
+    try {
+        const template = parseTemplate(await file.text());
+        const check    = checkTemplate(template);
+
+        const characterId = await pickCharacter(template, check);
+        if (characterId === null) return;
+
+        await importTemplate(template, characterId);
+        toastr.success(`Subroutine "${template.name}" imported. It is stopped — review it and press Running.`);
+        if (check.missingTools.length || check.missingSkills.length || check.omitted.length) {
+            toastr.warning(describeCheck(check).join(' '), 'Imported with gaps', { timeOut: 15000 });
+        }
+    } catch (e) {
+        logError('Template import failed:', e);
+        toastr.error(e.message, 'Import failed');
+    }
+}
+
+/**
+ * @returns {Promise<string|null>} the chosen character's id, null if cancelled
+ */
+async function pickCharacter(template, check) {
+    const { Popup, POPUP_TYPE, POPUP_RESULT, characters, characterId, groupId } = SillyTavern.getContext();
+    if (!characters?.length) throw new Error('There are no characters to import the subroutine for.');
+
+    const $form = document.createElement('div');
+    $form.className = 'sa-template-import';
+
+    const $title = document.createElement('h3');
+    $title.textContent = `Import "${template.name}"`;
+
+    const $label = document.createElement('label');
+    $label.className   = 'sa-label';
+    $label.textContent = 'Create it for';
+
+    const $select = document.createElement('select');
+    $select.className = 'sa-select';
+    characters.forEach((character, index) => {
+        const $option = document.createElement('option');
+        $option.value       = String(index);
+        $option.textContent = character.name;
+        $select.append($option);
+    });
+    if (!groupId && characters[characterId]) $select.value = String(characterId);
+
+    $form.append($title, $label, $select);
+
+    const gaps = describeCheck(check);
+    if (gaps.length) {
+        const $notice = document.createElement('div');
+        $notice.className = 'sa-notice sa-notice-warning';
+        for (const line of gaps) {
+            const $line = document.createElement('div');
+            $line.textContent = line;
+            $notice.append($line);
+        }
+        $form.append($notice);
+    }
+
+    const popup  = new Popup($form, POPUP_TYPE.CONFIRM, '', { okButton: 'Import', cancelButton: 'Cancel' });
+    const result = await popup.show();
+    return result === POPUP_RESULT.AFFIRMATIVE ? $select.value : null;
+}
+
+/** @param {TemplateCheck} check @returns {string[]} one sentence per gap */
+function describeCheck(check) {
+    const lines = [];
+    if (check.missingTools.length) {
+        lines.push(`Tools not registered here: ${check.missingTools.join(', ')} — calls to them will fail until they are.`);
+    }
+    if (check.missingSkills.length) {
+        lines.push(`Skills not in your library: ${check.missingSkills.join(', ')} — import them, then attach them.`);
+    }
+    if (check.omitted.length) {
+        lines.push(`Not included in the template: ${check.omitted.join(', ')} — set these in the panel.`);
+    }
+    return lines;
+}
@@ -0,0 +1,156 @@
+/**
+ * SillyAgents — Arguments for the polled trigger tool.
+ *
+ * Responsibilities:
+ *   • Look up a registered function tool's parameter schema in ToolManager.
+ *   • Parse and validate the configured JSON arguments against that schema
+ *     (required keys, types, enums, unknown keys when the schema forbids them).
+ *   • Expand macros ({{user}}, {{char}}, SillyAgents' own…) inside string
+ *     values just before the call, coercing results to the schema's types.
+ *
+ * Values may contain macros, so a string with `{{` is accepted for any type
+ * at edit time and only checked after expansion.
+ *
+ * Export surface:
+ *   getToolSchema(toolName)              → JsonSchema|null
+ *   parseToolArgs(text)                  → Object          (throws on bad input)
+ *   validateToolArgs(args, schema)       → string[]        (problems, [] when valid)
+ *   resolveToolArgs(args, schema)        → Object          (macros expanded, types coerced)
+ */
+
+// ─── schema lookup ───────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} JsonSchema
+ * @property {string}   [type]
+ * @property {Object<string, JsonSchema>} [properties]
+ * @property {string[]} [required]
+ * @property {Array}    [enum]
+ * @property {string}   [description]
+ * @property {boolean}  [additionalProperties]
+ */
+
+/**
+ * @param {string} toolName
+ * @returns {JsonSchema|null} the tool's parameter schema, or null if the tool isn't registered
+ */
+export function getToolSchema(toolName) {
+    if (!toolName) return null;
+
+    const { ToolManager } = SillyTavern.getContext();
+    const tools = ToolManager?.tools ?? ToolManager?.instance?.tools ?? [];
+    const tool  = tools.find(t => (t.name ?? t.toFunctionOpenAI?.().function?.name) === toolName);
+    if (!tool) return null;
+
+    const fn = tool.toFunctionOpenAI?.()?.function;
+    return fn?.parameters ?? tool.parameters ?? tool.schema ?? { type: 'object', properties: {} };
+}
+
+// ─── parsing / validation ────────────────────────────────────────────────────
+
+/**
+ * @param {string} text - JSON object text; blank means no arguments
+ * @returns {Object}
+ */
+export function parseToolArgs(text) {
+    if (!String(text ?? '').trim()) return {};
+
+    let args;
+    try {
+        args = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Arguments are not valid JSON: ${e.message}`);
+    }
+    if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+        throw new Error('Arguments must be a JSON object.');
+    }
+    return args;
+}
+
+/**
+ * @param {Object} args
+ * @param {JsonSchema|null} schema - null skips validation (tool unknown)
+ * @returns {string[]}
+ */
+export function validateToolArgs(args, schema) {
+    if (!schema) return [];
+
+    const problems   = [];
+    const properties = schema.properties ?? {};
+
+    for (const key of schema.required ?? []) {
+        if (!(key in args)) problems.push(`Missing required argument "${key}".`);
+    }
+
+    for (const [key, value] of Object.entries(args)) {
+        const prop = properties[key];
+        if (!prop) {
+            if (schema.additionalProperties === false) problems.push(`Unknown argument "${key}".`);
+            continue;
+        }
+        if (hasMacro(value)) continue;   // checked after expansion
+
+        if (prop.enum && !prop.enum.includes(value)) {
+            problems.push(`"${key}" must be one of ${prop.enum.map(v => JSON.stringify(v)).join(', ')}.`);
+        } else if (prop.type && !matchesType(value, prop.type)) {
+            problems.push(`"${key}" should be ${Array.isArray(prop.type) ? prop.type.join(' or ') : prop.type}.`);
+        }
+    }
+    return problems;
+}
+
+function matchesType(value, type) {
+    if (Array.isArray(type)) return type.some(t => matchesType(value, t));
+    switch (type) {
+        case 'string':  return typeof value === 'string';
+        case 'number':  return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array':   return Array.isArray(value);
+        case 'object':  return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'null':    return value === null;
+        default:        return true;
+    }
+}
+
+function hasMacro(value) {
+    return typeof value === 'string' && value.includes('{{');
+}
+
+// ─── macro expansion ─────────────────────────────────────────────────────────
+
+/**
+ * Expand macros in every string value (nested ones included).  Top-level
+ * values the schema types as number/integer/boolean are converted from the
+ * expanded text, so `"{{getvar::limit}}"` can feed a numeric parameter.
+ * @param {Object} args
+ * @param {JsonSchema|null} schema
+ * @returns {Object} a new object; `args` is not modified
+ */
+export function resolveToolArgs(args, schema) {
+    const { substituteParams } = SillyTavern.getContext();
+    const properties = schema?.properties ?? {};
+
+    const expand = (value) => {
+        if (typeof value === 'string') return value.includes('{{') ? substituteParams(value) : value;
+        if (Array.isArray(value)) return value.map(expand);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expand(v)]));
+        }
+        return value;
+    };
+
+    return Object.fromEntries(Object.entries(args).map(([key, value]) => {
+        const expanded = expand(value);
+        return [key, hasMacro(value) ? coerce(expanded, properties[key]?.type) : expanded];
+    }));
+}
+
+function coerce(text, type) {
+    const trimmed = String(text).trim();
+    if ((type === 'number' || type === 'integer') && trimmed !== '' && !Number.isNaN(Number(trimmed))) {
+        return Number(trimmed);
+    }
+    if (type === 'boolean' && (trimmed === 'true' || trimmed === 'false')) return trimmed === 'true';
+    return text;
+}
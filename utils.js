@@ -1,6 +1,6 @@
 /**
  * SillyAgents — shared utilities.
- * Pure helpers only. No side-effects, no event listeners, no DOM.
+ * Small helpers only. No event listeners, no DOM.
  * Every other module imports from here; nothing imports from them.
  */
 
@@ -9,23 +9,138 @@ export const MODULE_NAME = 'sillyagents';
 // ─── chatMetadata helpers ────────────────────────────────────────────────────
 // Always re-read chatMetadata from context (the reference changes on chat switch).
 
+// Configs of subroutine chats that are NOT open in this tab, keyed by chatId.
+// Filled by loadSubroutineConfig() / saveSubroutineConfig(); the open chat is
+// always read live from chatMetadata instead.
+const _backgroundConfigs = new Map();
+
 /**
- * Returns the sillyagents config block from the current chat, or null if this
- * chat is not a subroutine.
+ * Returns the sillyagents config block for a chat, or null if that chat is not
+ * a subroutine.  Without a chatId (or for the open chat) this reads the live
+ * chatMetadata; other chats must have been loaded with loadSubroutineConfig().
+ * Keys added in later versions are backfilled from defaultSubroutineConfig()
+ * so older chats keep working.
+ * @param {string} [chatId]
  * @returns {SubroutineConfig|null}
  */
-export function getSubroutineConfig() {
-    const meta = SillyTavern.getContext().chatMetadata;
-    return meta?.sillyagents ?? null;
+export function getSubroutineConfig(chatId = null) {
+    const stored = chatId && chatId !== getCurrentChatId()
+        ? _backgroundConfigs.get(chatId)
+        : SillyTavern.getContext().chatMetadata?.sillyagents;
+    if (!stored) return null;
+    return { ...defaultSubroutineConfig(), ...stored };
 }
 
 /**
- * Writes a full config object into the current chat's metadata and persists it.
+ * Reads a chat's config from its chat file (so it works for chats that are
+ * not open) and caches it for getSubroutineConfig(chatId).
+ * @param {string} chatId
+ * @returns {Promise<SubroutineConfig|null>}
+ */
+export async function loadSubroutineConfig(chatId) {
+    if (chatId === getCurrentChatId()) return getSubroutineConfig();
+
+    const chatData = await SillyTavern.getContext().loadChat(chatId);
+    const stored   = chatData?.chat_metadata?.sillyagents;
+    if (stored) _backgroundConfigs.set(chatId, stored);
+    else        _backgroundConfigs.delete(chatId);
+    return getSubroutineConfig(chatId);
+}
+
+/**
+ * Replace a background chat's cached config with a copy just read from its
+ * file, so edits made in other contexts (another tab, the ghost) are seen.
+ * With `keepRuntime`, this context's RUNTIME_CONFIG_KEYS win — it is the one
+ * running the loop, and its staged bookkeeping may not be on disk yet.  The
+ * open chat is left alone: its live chatMetadata is authoritative.
+ * @param {string} chatId
+ * @param {SubroutineConfig} stored - the config block from the chat file
+ * @param {Object}  [options]
+ * @param {boolean} [options.keepRuntime]
+ */
+export function refreshSubroutineConfig(chatId, stored, { keepRuntime = false } = {}) {
+    if (chatId === getCurrentChatId()) return;
+
+    const cached = _backgroundConfigs.get(chatId);
+    const config = { ...stored };
+    if (keepRuntime && cached) {
+        for (const key of RUNTIME_CONFIG_KEYS) {
+            if (key in cached) config[key] = cached[key];
+        }
+    }
+    _backgroundConfigs.set(chatId, config);
+}
+
+/**
+ * Persists a config for any chat by rewriting the metadata block of its chat
+ * file.  Never through saveMetadata, even for the open chat: ST's in-memory
+ * copy of it lacks the messages heartbeats wrote to the file, and saving that
+ * copy would drop them.  The open chat's live chatMetadata is updated too.
+ * @param {string} chatId
  * @param {SubroutineConfig} config
  */
-export async function setSubroutineConfig(config) {
-    SillyTavern.getContext().chatMetadata['sillyagents'] = config;
-    await SillyTavern.getContext().saveMetadata();
+export async function saveSubroutineConfig(chatId, config) {
+    chatId ||= getCurrentChatId();
+    if (!chatId) return;
+
+    const { loadChat, saveChat } = SillyTavern.getContext();
+    const chatData = await loadChat(chatId);
+    chatData.chat_metadata = { ...chatData.chat_metadata, sillyagents: config };
+    await saveChat(chatId, chatData);
+    stageSubroutineConfig(chatId, config);
+}
+
+/**
+ * Apply a partial edit (the panel's settings) to a chat's config and persist
+ * it, on top of the copy in its chat file rather than a possibly stale one in
+ * memory — another context may be running the loop and writing bookkeeping.
+ * With `keepRuntime`, this context's staged RUNTIME_CONFIG_KEYS win instead:
+ * it runs the loop, and they may not be on disk yet.  `patch` may be a
+ * function of the current config, for edits that depend on it.
+ * @param {string} chatId
+ * @param {Partial<SubroutineConfig>|((current: SubroutineConfig) => Partial<SubroutineConfig>)} patch
+ * @param {Object}  [options]
+ * @param {boolean} [options.keepRuntime]
+ * @returns {Promise<SubroutineConfig|null>} the config as saved
+ */
+export async function updateSubroutineConfig(chatId, patch, { keepRuntime = false } = {}) {
+    chatId ||= getCurrentChatId();
+    if (!chatId) return null;
+
+    const { loadChat, saveChat } = SillyTavern.getContext();
+    const chatData = await loadChat(chatId);
+    const staged   = getSubroutineConfig(chatId);
+    const config   = { ...defaultSubroutineConfig(), ...(chatData.chat_metadata?.sillyagents ?? staged) };
+    if (keepRuntime && staged) {
+        for (const key of RUNTIME_CONFIG_KEYS) config[key] = staged[key];
+    }
+    Object.assign(config, typeof patch === 'function' ? patch(config) : patch);
+
+    chatData.chat_metadata = { ...chatData.chat_metadata, sillyagents: config };
+    await saveChat(chatId, chatData);
+    stageSubroutineConfig(chatId, config);
+    return config;
+}
+
+/**
+ * Update the in-memory config of a chat without writing it anywhere.  The
+ * runtime stages its per-tick bookkeeping (run times, usage, polled results)
+ * this way; the heartbeat's own chat write, or one saveSubroutineConfig() at
+ * the end of a tick that didn't fire, persists it.
+ * @param {string} chatId
+ * @param {SubroutineConfig} config
+ */
+export function stageSubroutineConfig(chatId, config) {
+    if (chatId === getCurrentChatId()) SillyTavern.getContext().chatMetadata['sillyagents'] = config;
+    _backgroundConfigs.set(chatId, config);
+}
+
+/**
+ * Filename of the chat that is open in this tab, or null.
+ * @returns {string|null}
+ */
+export function getCurrentChatId() {
+    return SillyTavern.getContext().getCurrentChatId?.() ?? null;
 }
 
 /**
@@ -38,22 +153,97 @@ export function isCurrentChatSubroutine() {
 
 // ─── default config factory ──────────────────────────────────────────────────
 
+/**
+ * One rule of a composite trigger.  Only the fields for its `type` are used.
+ * @typedef {Object} CompositeRule
+ * @property {'and'|'or'} connector   - how it joins the previous rule (ignored on the first)
+ * @property {'time'|'tool'|'api'} type
+ * @property {number}   everySeconds  - time: holds once per this many seconds
+ * @property {string}   toolName      - tool: tool to poll
+ * @property {string}   toolArgs      - tool: JSON arguments
+ * @property {string}   mode          - tool: condition mode (see conditions.js)
+ * @property {string}   value         - tool: condition value
+ * @property {string}   path          - tool: JSON path into the result
+ * @property {boolean}  negate        - tool: invert the condition
+ * @property {string|null} lastResult - tool: previous result, for 'changed'
+ * @property {string}   apiUrl        - api: URL polled with GET
+ */
+
 /**
  * @typedef {Object} SubroutineConfig
  * @property {boolean}  isSubroutine
- * @property {'time'|'tool'|'api'} triggerType
- * @property {number}   intervalSeconds   - polling interval (all trigger types)
+ * @property {'time'|'cron'|'tool'|'api'|'composite'|'subroutine'} triggerType
+ * @property {CompositeRule[]} compositeRules - composite triggers: rules joined by AND / OR
+ * @property {string}   upstreamChatId    - chained triggers: the subroutine whose output fires this one
+ * @property {'finish'|'message'|'any'} upstreamEvent - which upstream output fires it
+ * @property {number}   intervalSeconds   - polling interval (all trigger types except cron)
+ * @property {string}   cronExpression    - 5-field cron schedule (cron triggers)
+ * @property {string}   cronTimezone      - IANA zone for the cron schedule; empty = browser zone
  * @property {string}   toolName          - tool to poll (tool-based triggers)
- * @property {string}   toolCondition     - value that must be returned to fire
- * @property {string}   apiUrl            - external URL to poll (api-based triggers)
+ * @property {string}   toolArgs          - JSON object of arguments for the polled tool; string values may hold macros
+ * @property {string}   toolCondition     - value the condition compares against (see conditions.js)
+ * @property {string}   toolConditionMode - substring / regex / equals / gt / gte / lt / lte / changed
+ * @property {string}   toolConditionPath - JSON path into the tool result to test; '' for the whole result
+ * @property {boolean}  toolConditionNegate - fire when the condition does NOT hold
+ * @property {string|null} lastToolResult - previous poll result, kept for the 'changed' mode
+ * @property {string}   apiUrl            - external URL to poll or subscribe to (api-based triggers)
+ * @property {'poll'|'sse'|'websocket'} apiMode - poll apiUrl on the interval, or take pushed events
+ * @property {number}   apiReconnectMaxSeconds - cap on the reconnect backoff for sse/websocket
+ * @property {string}   apiPushTokenParam - query parameter that carries apiAuthToken on sse/websocket
+ *                                          connections (browsers can't send headers there); '' = not sent
+ * @property {string}   apiMethod         - HTTP method for polling
+ * @property {string}   apiHeaders        - extra request headers, one `Name: value` per line
+ * @property {string}   apiBody           - request body for polling (ignored for GET/HEAD)
+ * @property {string}   apiAuthToken      - sent as `Authorization: Bearer …` when set
+ * @property {string}   apiAckUrl         - request sent after a successful heartbeat; '' disables acks
+ * @property {string}   apiAckMethod      - HTTP method for the ack
+ * @property {string}   apiAckBody        - ack body; {{payloadId}} / {{triggerPayload}} are substituted
+ * @property {string}   apiPayloadIdPath  - path to the item id in the trigger body, for {{payloadId}}
+ * @property {string}   payloadPaths      - path expressions (one per line, optional `label = path`)
+ *                                          picking what {{triggerPayload}} shows from a tool/API body
+ * @property {number}   maxToolRounds     - cap on tool-execution rounds per generation loop
+ * @property {number}   heartbeatTimeoutSeconds - wall-clock limit for one heartbeat
  * @property {boolean}  autoQueue         - auto-queue mode on/off
  * @property {string}   autoQueuePrompt   - prompt sent when model goes silent
+ * @property {number}   autoQueueMaxContinuations - re-prompts allowed per task before pausing
+ * @property {number}   autoQueueDelaySeconds     - wait before each re-prompt (doubles while stalled)
+ * @property {number}   autoQueueStallThreshold   - identical replies in a row that count as a stall
  * @property {string}   heartbeatMessage  - message sent on each tick
  * @property {boolean}  useSummary        - use native summariser for compression
  * @property {string}   color             - hex color for chat list indicator
  * @property {boolean}  useLorebooks      - include lorebooks in context
  * @property {boolean}  useExampleMessages- include example messages in context
  * @property {boolean}  running           - is the loop currently active
+ * @property {string}   finishSummary     - summary passed to the finish tool on the last finish
+ * @property {string}   finishStatus      - status passed to the finish tool ('success'|'partial'|'failed')
+ * @property {string}   finishedAt        - ISO timestamp of the last finish, '' if never finished
+ * @property {string}   pausedReason      - why the runtime paused this subroutine, '' if it didn't
+ * @property {string}   pausedAt          - ISO timestamp of that pause
+ * @property {number}   maxConsecutiveFailures - failed ticks in a row before the circuit breaker trips
+ * @property {number}   backoffMaxSeconds - upper bound on the delay between retries after failures
+ * @property {'ok'|'error'} state         - 'error' once the circuit breaker has tripped
+ * @property {string}   lastError         - message of the failure that tripped the breaker
+ * @property {string}   lastErrorAt       - ISO timestamp of that failure
+ * @property {Object|null} owner          - loop ownership lease (see leader.js), null when free
+ * @property {'any'|'ghost'|'tab'} runIn  - which browser contexts may run the loop (see silentclient.js)
+ * @property {number}   priority          - scheduler priority; higher runs first when ticks queue up
+ * @property {string}   lastRunAt         - ISO timestamp of the last tick that ran
+ * @property {string}   nextRunAt         - ISO timestamp the next tick is due
+ * @property {'skip'|'once'|'replay'} catchUpPolicy - what to do with runs missed while the loop was down
+ * @property {number}   catchUpMaxRuns    - cap on replayed runs for the 'replay' policy
+ * @property {boolean}  windowsEnabled    - restrict ticks to active hours and skip blackout dates
+ * @property {string[]} activeHours       - per weekday (0 = Sunday): `HH:MM-HH:MM, …`, `*` all day, '' never
+ * @property {string}   blackoutDates     - one `YYYY-MM-DD` or `YYYY-MM-DD..YYYY-MM-DD` per line
+ * @property {string}   windowTimezone    - IANA zone the windows are read in; empty = browser zone
+ * @property {'skip'|'defer'} outsideWindowPolicy - drop ticks outside the windows, or run one when they open
+ * @property {number}   tokenBudgetHourly - pause once this many tokens are used in a clock hour; 0 = no cap
+ * @property {number}   tokenBudgetDaily  - same, per calendar day
+ * @property {number}   tokenBudgetTotal  - same, over the subroutine's lifetime
+ * @property {Usage}    usage             - token / cost counters (see budget.js)
+ * @property {'all'|'allow'|'deny'} toolFilterMode - offer the model every tool, only the listed ones, or all but them
+ * @property {string[]} toolFilterList    - tool names for toolFilterMode
+ * @property {string}   approvalTools     - tools whose calls wait for the user's approval (comma/newline separated)
+ * @property {PendingApproval[]} pendingApprovals - parked tool calls awaiting a decision (see subroutines.js)
  */
 
 /** @returns {SubroutineConfig} */
@@ -62,20 +252,130 @@ export function defaultSubroutineConfig() {
         isSubroutine:       true,
         triggerType:        'time',
         intervalSeconds:    300,          // 5 min
+        cronExpression:     '0 9 * * 1-5',   // weekdays 09:00
+        cronTimezone:       '',
         toolName:           '',
+        toolArgs:           '{}',
+        compositeRules:     [],
+        upstreamChatId:     '',
+        upstreamEvent:      'finish',
         toolCondition:      '',
+        toolConditionMode:  'substring',
+        toolConditionPath:  '',
+        toolConditionNegate: false,
+        lastToolResult:     null,
         apiUrl:             '',
+        apiMode:            'poll',
+        apiReconnectMaxSeconds: 60,
+        apiPushTokenParam:  '',
+        apiMethod:          'GET',
+        apiHeaders:         '',
+        apiBody:            '',
+        apiAuthToken:       '',
+        apiAckUrl:          '',
+        apiAckMethod:       'POST',
+        apiAckBody:         '{"id": "{{payloadId}}"}',
+        apiPayloadIdPath:   'id',
+        payloadPaths:       '',
+        maxToolRounds:      8,
+        heartbeatTimeoutSeconds: 300,
         autoQueue:          false,
         autoQueuePrompt:    'Continue working on the current task. Call a tool or report your status.',
+        autoQueueMaxContinuations: 10,
+        autoQueueDelaySeconds:     5,
+        autoQueueStallThreshold:   3,
         heartbeatMessage:   '[heartbeat]',
         useSummary:         false,
         color:              '#4a90d9',
         useLorebooks:       true,
         useExampleMessages: true,
         running:            false,
+        finishSummary:      '',
+        finishStatus:       '',
+        finishedAt:         '',
+        pausedReason:       '',
+        pausedAt:           '',
+        maxConsecutiveFailures: 5,
+        backoffMaxSeconds:  3600,         // 1 h
+        state:              'ok',
+        lastError:          '',
+        lastErrorAt:        '',
+        owner:              null,
+        runIn:              'any',
+        priority:           0,
+        lastRunAt:          '',
+        nextRunAt:          '',
+        catchUpPolicy:      'once',
+        catchUpMaxRuns:     3,
+        windowsEnabled:     false,
+        activeHours:        ['*', '*', '*', '*', '*', '*', '*'],
+        blackoutDates:      '',
+        windowTimezone:     '',
+        outsideWindowPolicy: 'skip',
+        tokenBudgetHourly:  0,
+        tokenBudgetDaily:   0,
+        tokenBudgetTotal:   0,
+        usage:              { hourKey: '', hourTokens: 0, dayKey: '', dayTokens: 0, totalTokens: 0, totalCost: 0 },
+        toolFilterMode:     'all',
+        toolFilterList:     [],
+        approvalTools:      '',
+        pendingApprovals:   [],
+    };
+}
+
+/**
+ * Runtime bookkeeping in a SubroutineConfig — written by the loop, never by
+ * the user, and meaningless outside the chat it was recorded in.
+ */
+export const RUNTIME_CONFIG_KEYS = [
+    'isSubroutine', 'owner', 'usage', 'pendingApprovals', 'lastToolResult', 'lastRunAt', 'nextRunAt',
+    'state', 'lastError', 'lastErrorAt', 'finishSummary', 'finishStatus', 'finishedAt', 'pausedReason', 'pausedAt',
+];
+
+/**
+ * Forget why the runtime stopped a subroutine — starting it again by hand
+ * acknowledges the pause or error.
+ * @param {SubroutineConfig} config - modified in place
+ */
+export function clearPauseState(config) {
+    config.pausedReason = '';
+    config.state        = 'ok';
+    config.lastError    = '';
+}
+
+// ─── global settings ─────────────────────────────────────────────────────────
+// Settings that apply to all subroutines live in ST's extension settings, not
+// in any one chat's metadata.
+
+/**
+ * @typedef {Object} GlobalSettings
+ * @property {number} maxConcurrentGenerations - ticks (and so generations) allowed to run at once
+ * @property {number} tickJitterSeconds        - random delay added to each tick to spread aligned timers
+ * @property {string} modelPrices              - per-model prices for cost estimates (see budget.js)
+ */
+
+/** @returns {GlobalSettings} */
+export function defaultGlobalSettings() {
+    return {
+        maxConcurrentGenerations: 2,
+        tickJitterSeconds:        10,
+        modelPrices:              '',
     };
 }
 
+/** @returns {GlobalSettings} stored settings with defaults backfilled */
+export function getGlobalSettings() {
+    const { extensionSettings } = SillyTavern.getContext();
+    return { ...defaultGlobalSettings(), ...extensionSettings?.[MODULE_NAME] };
+}
+
+/** @param {GlobalSettings} settings */
+export function setGlobalSettings(settings) {
+    const context = SillyTavern.getContext();
+    context.extensionSettings[MODULE_NAME] = settings;
+    context.saveSettingsDebounced();
+}
+
 // ─── logging ─────────────────────────────────────────────────────────────────
 
 export function log(...args)   { console.log   (`[${MODULE_NAME}]`, ...args); }
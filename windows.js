@@ -0,0 +1,177 @@
+/**
+ * SillyAgents — Active hours and blackout dates.
+ *
+ * Responsibilities:
+ *   • Parse a subroutine's scheduling windows: allowed time ranges per weekday
+ *     and blackout date ranges, both read in a chosen IANA timezone.
+ *   • Answer "may this subroutine act right now?" and "when may it next act?"
+ *
+ * Day ranges are comma-separated `HH:MM-HH:MM` spans (end exclusive, `24:00`
+ * allowed); `*` means all day and an empty day means never.  Blackouts are
+ * one per line, `YYYY-MM-DD` or `YYYY-MM-DD..YYYY-MM-DD` (inclusive).
+ *
+ * Pure module — no DOM, no timers, no SillyTavern context.  The runtime skips
+ * or defers ticks outside the windows; the panel shows "sleeping until …".
+ *
+ * Export surface:
+ *   WEEKDAY_NAMES                         → string[]   (index = ZonedParts.weekday)
+ *   compileWindows(config)                → Windows|null   (null when disabled; throws on bad input)
+ *   validateWindows(config)               → string[]   (problems, [] when valid)
+ *   isActiveAt(windows, date?)            → boolean
+ *   nextActiveTime(windows, from?)        → Date|null
+ */
+
+import { getZonedParts, isValidTimezone } from './cron.js';
+
+// ─── types ───────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} Windows
+ * @property {Array<Array<[number, number]>>} days - per weekday (0 = Sunday), [startMinute, endMinute) spans
+ * @property {Array<{ from: string, to: string }>} blackouts - inclusive YYYY-MM-DD ranges
+ * @property {string|undefined} timezone
+ */
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Each step skips to the next span start or midnight; a couple of years of
+// days is plenty to find the next opening (or conclude there is none).
+const MAX_SEARCH_STEPS = 3000;
+
+// ─── parsing ─────────────────────────────────────────────────────────────────
+
+/**
+ * @param {SubroutineConfig} config - uses windowsEnabled, activeHours, blackoutDates, windowTimezone
+ * @returns {Windows|null}
+ */
+export function compileWindows(config) {
+    if (!config.windowsEnabled) return null;
+
+    if (!isValidTimezone(config.windowTimezone)) {
+        throw new Error(`Unknown timezone "${config.windowTimezone}".`);
+    }
+    return {
+        days:      WEEKDAY_NAMES.map((name, i) => parseDayRanges(config.activeHours?.[i] ?? '*', name)),
+        blackouts: parseBlackouts(config.blackoutDates),
+        timezone:  config.windowTimezone || undefined,
+    };
+}
+
+/**
+ * @param {SubroutineConfig} config
+ * @returns {string[]}
+ */
+export function validateWindows(config) {
+    const problems = [];
+    if (!isValidTimezone(config.windowTimezone)) problems.push(`Unknown timezone "${config.windowTimezone}".`);
+
+    WEEKDAY_NAMES.forEach((name, i) => {
+        try {
+            parseDayRanges(config.activeHours?.[i] ?? '*', name);
+        } catch (e) {
+            problems.push(e.message);
+        }
+    });
+    try {
+        parseBlackouts(config.blackoutDates);
+    } catch (e) {
+        problems.push(e.message);
+    }
+    return problems;
+}
+
+function parseDayRanges(text, dayName) {
+    const src = String(text ?? '').trim();
+    if (src === '')  return [];
+    if (src === '*') return [[0, MINUTES_PER_DAY]];
+
+    return src.split(',').map(part => {
+        const match = /^\s*(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\s*$/.exec(part);
+        if (!match) throw new Error(`${dayName}: "${part.trim()}" should look like 09:00-17:00.`);
+
+        const start = toMinutes(match[1], match[2]);
+        const end   = toMinutes(match[3], match[4]);
+        if (start === null || end === null) throw new Error(`${dayName}: "${part.trim()}" is not a valid time.`);
+        if (end <= start) {
+            throw new Error(`${dayName}: "${part.trim()}" ends before it starts — split overnight spans across two days.`);
+        }
+        return [start, end];
+    });
+}
+
+function toMinutes(hours, minutes) {
+    const h = Number(hours);
+    const m = Number(minutes);
+    if (m > 59 || h > 24 || (h === 24 && m !== 0)) return null;
+    return h * 60 + m;
+}
+
+function parseBlackouts(text) {
+    return String(text ?? '').split('\n').map(l => l.trim()).filter(Boolean).map(line => {
+        const [from, to = from] = line.split('..').map(s => s.trim());
+        for (const date of [from, to]) {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+                throw new Error(`Blackout "${line}" should be YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD.`);
+            }
+        }
+        if (to < from) throw new Error(`Blackout "${line}" ends before it starts.`);
+        return { from, to };
+    });
+}
+
+// ─── evaluation ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {Windows|null} windows - null means no restriction
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+export function isActiveAt(windows, date = new Date()) {
+    if (!windows) return true;
+    const p = getZonedParts(date, windows.timezone);
+    return !isBlackedOut(windows, p) && spanAt(windows, p) !== null;
+}
+
+/**
+ * The first minute at or after `from` when the windows are open.
+ * Like cron.js, walks forward in real time comparing wall-clock fields, so
+ * DST changes need no special handling.
+ * @param {Windows|null} windows
+ * @param {Date} [from]
+ * @returns {Date|null} null if the windows never open again
+ */
+export function nextActiveTime(windows, from = new Date()) {
+    if (!windows) return from;
+
+    let t = from.getTime();
+    for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+        const p      = getZonedParts(new Date(t), windows.timezone);
+        const minute = p.hour * 60 + p.minute;
+        const toMidnight = (MINUTES_PER_DAY - minute) * 60000 - (t % 60000);
+
+        if (isBlackedOut(windows, p)) {
+            t += toMidnight;
+            continue;
+        }
+        if (spanAt(windows, p) !== null) return new Date(t);
+
+        const nextStart = windows.days[p.weekday]
+            .map(([start]) => start)
+            .filter(start => start > minute)
+            .sort((a, b) => a - b)[0];
+        t += nextStart === undefined ? toMidnight : (nextStart - minute) * 60000 - (t % 60000);
+    }
+    return null;
+}
+
+function spanAt(windows, p) {
+    const minute = p.hour * 60 + p.minute;
+    return windows.days[p.weekday].find(([start, end]) => minute >= start && minute < end) ?? null;
+}
+
+function isBlackedOut(windows, p) {
+    const date = `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+    return windows.blackouts.some(({ from, to }) => date >= from && date <= to);
+}
@@ -0,0 +1,386 @@
+/**
+ * SillyAgents — Subroutine creation wizard.
+ *
+ * Responsibilities:
+ *   • Walk the user through a new subroutine step by step: name and trigger
+ *     type, the trigger's schedule or source, heartbeat, auto-queue, context
+ *     options and colour, then a review.
+ *   • Keep the user on a step while its fields would stop the subroutine from
+ *     running (see failsafes.js), with the reason shown under the step.
+ *   • On review, list every remaining problem — config and environment (Chat
+ *     Completion API, tool-capable model).  While there are any, the
+ *     subroutine can only be created stopped; it never starts silently broken.
+ *
+ * The wizard only collects settings; chat-list.js creates the chat.
+ *
+ * Communication contract:
+ *   LISTENS FOR:
+ *     (none — chat-list.js opens the wizard)
+ *   EMITS:
+ *     (none)
+ */
+
+import { defaultSubroutineConfig } from './utils.js';
+import { validateSubroutineConfig, checkEnvironment } from './failsafes.js';
+
+// ─── types ───────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} WizardResult
+ * @property {string}  name
+ * @property {Partial<SubroutineConfig>} config - the settings the wizard asked for
+ * @property {boolean} start - start right away (only offered when nothing is wrong)
+ */
+
+const STEPS = ['basics', 'trigger', 'heartbeat', 'autoQueue', 'context', 'review'];
+
+// Config fields each step edits; a problem with one of them keeps the user on
+// that step.  Composite rules and the upstream chat are set up in the panel,
+// so their problems only surface on review.
+const STEP_KEYS = {
+    trigger:   ['intervalSeconds', 'cronExpression', 'cronTimezone', 'toolName', 'toolArgs', 'toolCondition', 'apiUrl'],
+    heartbeat: ['heartbeatMessage', 'maxToolRounds'],
+    autoQueue: ['autoQueuePrompt'],
+};
+
+const TRIGGER_LABELS = {
+    time:       'Time-based',
+    cron:       'Cron schedule',
+    tool:       'Tool-based',
+    api:        'API-based',
+    composite:  'Composite (AND / OR)',
+    subroutine: 'After another subroutine',
+};
+
+// ─── state ───────────────────────────────────────────────────────────────────
+let $modal   = null;
+let _step    = 0;
+let _resolve = null;   // resolves the promise runCreationWizard() returned
+
+// ─── wizard HTML template ────────────────────────────────────────────────────
+// Every input carrying data-key maps onto the SubroutineConfig field it names.
+
+const WIZARD_HTML = `
+<div id="sa-wizard-modal" class="sa-modal">
+  <div class="sa-modal-backdrop"></div>
+  <div class="sa-modal-content">
+
+    <div class="sa-modal-header">
+      <h3 class="sa-modal-title">✨ New Subroutine — <span id="sa-wiz-step-title"></span></h3>
+      <button id="sa-wiz-close" class="sa-modal-close-btn" title="Cancel">✕</button>
+    </div>
+
+    <div class="sa-wizard-body">
+
+      <div class="sa-wizard-step" data-step="basics">
+        <label class="sa-label">Name</label>
+        <input type="text" id="sa-wiz-name" class="sa-input" placeholder="e.g. Email Triage">
+        <label class="sa-label" style="margin-top:8px;">What wakes it up?</label>
+        <select data-key="triggerType" class="sa-select">
+          ${Object.entries(TRIGGER_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+      </div>
+
+      <div class="sa-wizard-step" data-step="trigger">
+        <div data-trigger="time">
+          <label class="sa-label">Every (seconds)</label>
+          <input type="number" data-key="intervalSeconds" class="sa-input" min="5" step="5">
+        </div>
+        <div data-trigger="cron">
+          <label class="sa-label">Cron Expression</label>
+          <input type="text" data-key="cronExpression" class="sa-input" placeholder="0 9 * * 1-5">
+          <label class="sa-label" style="margin-top:8px;">Timezone</label>
+          <input type="text" data-key="cronTimezone" class="sa-input" placeholder="Browser local (e.g. Europe/Berlin)">
+        </div>
+        <div data-trigger="tool">
+          <label class="sa-label">Tool to Poll</label>
+          <input type="text" data-key="toolName" class="sa-input" placeholder="e.g. check_email">
+          <label class="sa-label" style="margin-top:8px;">Arguments</label>
+          <textarea data-key="toolArgs" class="sa-textarea" rows="2" placeholder='JSON object, e.g. {"mailbox": "inbox"}'></textarea>
+          <label class="sa-label" style="margin-top:8px;">Fire When the Result Contains</label>
+          <input type="text" data-key="toolCondition" class="sa-input" placeholder="Empty: whenever the result is non-empty">
+          <label class="sa-label" style="margin-top:8px;">Poll Every (seconds)</label>
+          <input type="number" data-key="intervalSeconds" class="sa-input" min="5" step="5">
+        </div>
+        <div data-trigger="api">
+          <label class="sa-label">Mode</label>
+          <select data-key="apiMode" class="sa-select">
+            <option value="poll">Poll on interval</option>
+            <option value="sse">Server-Sent Events (push)</option>
+            <option value="websocket">WebSocket (push)</option>
+          </select>
+          <label class="sa-label" style="margin-top:8px;">URL</label>
+          <input type="text" data-key="apiUrl" class="sa-input" placeholder="https://example.com/pending">
+          <div id="sa-wiz-api-poll-fields">
+            <label class="sa-label" style="margin-top:8px;">Poll Every (seconds)</label>
+            <input type="number" data-key="intervalSeconds" class="sa-input" min="5" step="5">
+          </div>
+        </div>
+        <div data-trigger="composite" class="sa-owner-info">
+          Composite rules are built in the settings panel once the subroutine exists.
+        </div>
+        <div data-trigger="subroutine" class="sa-owner-info">
+          Pick the upstream subroutine in the settings panel once this one exists.
+        </div>
+      </div>
+
+      <div class="sa-wizard-step" data-step="heartbeat">
+        <label class="sa-label">Heartbeat Message</label>
+        <input type="text" data-key="heartbeatMessage" class="sa-input"
+          title="{{triggerPayload}} is replaced with the payload that fired a tool or API trigger">
+        <label class="sa-label" style="margin-top:8px;">Max Tool Rounds</label>
+        <input type="number" data-key="maxToolRounds" class="sa-input" min="1" step="1">
+        <label class="sa-label" style="margin-top:8px;">Heartbeat Time Limit (seconds)</label>
+        <input type="number" data-key="heartbeatTimeoutSeconds" class="sa-input" min="10" step="10">
+      </div>
+
+      <div class="sa-wizard-step" data-step="autoQueue">
+        <label class="sa-label sa-label-row">
+          <input type="checkbox" data-key="autoQueue" class="sa-checkbox">
+          <span>Auto-Queue (keep working until the model calls finish)</span>
+        </label>
+        <div id="sa-wiz-autoqueue-fields">
+          <label class="sa-label" style="margin-top:8px;">Auto-Queue Prompt</label>
+          <textarea data-key="autoQueuePrompt" class="sa-textarea" rows="3"></textarea>
+          <label class="sa-label" style="margin-top:8px;">Max Continuations per Task</label>
+          <input type="number" data-key="autoQueueMaxContinuations" class="sa-input" min="1" step="1">
+        </div>
+      </div>
+
+      <div class="sa-wizard-step" data-step="context">
+        <label class="sa-label sa-label-row">
+          <input type="checkbox" data-key="useLorebooks" class="sa-checkbox">
+          <span>Use Lorebooks</span>
+        </label>
+        <label class="sa-label sa-label-row">
+          <input type="checkbox" data-key="useExampleMessages" class="sa-checkbox">
+          <span>Use Example Messages</span>
+        </label>
+        <label class="sa-label sa-label-row">
+          <input type="checkbox" data-key="useSummary" class="sa-checkbox">
+          <span>Use Summariser</span>
+        </label>
+        <div class="sa-color-row" style="margin-top:8px;">
+          <label class="sa-label">Chat Color</label>
+          <input type="color" data-key="color" class="sa-color-input">
+        </div>
+      </div>
+
+      <div class="sa-wizard-step" data-step="review">
+        <ul id="sa-wiz-summary" class="sa-wizard-summary"></ul>
+        <div id="sa-wiz-review-problems" class="sa-notice sa-notice-error"></div>
+        <label class="sa-label sa-label-row" style="margin-top:8px;">
+          <input type="checkbox" id="sa-wiz-start" class="sa-checkbox">
+          <span>Start it right away</span>
+        </label>
+      </div>
+
+      <ul id="sa-wiz-errors" class="sa-cron-preview"></ul>
+    </div>
+
+    <div class="sa-wizard-footer">
+      <button type="button" id="sa-wiz-back" class="sa-btn">Back</button>
+      <button type="button" id="sa-wiz-next" class="sa-btn">Next</button>
+    </div>
+
+  </div><!-- end modal-content -->
+</div>
+`;
+
+// ─── open / close ────────────────────────────────────────────────────────────
+
+/**
+ * Show the wizard with default settings.
+ * @returns {Promise<WizardResult|null>} null if the user cancelled
+ */
+export function runCreationWizard() {
+    if (!$modal) injectModal();
+    if (_resolve) close(null); // a previous run left open — cancel it
+
+    populate(defaultSubroutineConfig());
+    document.getElementById('sa-wiz-name').value = 'My Subroutine';
+    showStep(0);
+    $modal.classList.add('sa-modal-open');
+    document.getElementById('sa-wiz-name').focus();
+
+    return new Promise(resolve => { _resolve = resolve; });
+}
+
+function injectModal() {
+    document.body.insertAdjacentHTML('beforeend', WIZARD_HTML);
+    $modal = document.getElementById('sa-wizard-modal');
+
+    document.getElementById('sa-wiz-close').addEventListener('click', () => close(null));
+    $modal.querySelector('.sa-modal-backdrop').addEventListener('click', () => close(null));
+    document.getElementById('sa-wiz-back').addEventListener('click', () => showStep(_step - 1));
+    document.getElementById('sa-wiz-next').addEventListener('click', onNext);
+
+    // Trigger inputs appear on several sub-forms (e.g. intervalSeconds); keep the copies in step.
+    $modal.addEventListener('input', (e) => {
+        const key = e.target.dataset?.key;
+        if (!key) return;
+        for (const el of fieldsFor(key)) {
+            if (el !== e.target && el.type !== 'checkbox') el.value = e.target.value;
+        }
+        document.getElementById('sa-wiz-errors').replaceChildren();
+    });
+    $modal.addEventListener('change', () => updateVisibility());
+}
+
+function close(result) {
+    $modal.classList.remove('sa-modal-open');
+    const resolve = _resolve;
+    _resolve = null;
+    resolve?.(result);
+}
+
+// ─── steps ───────────────────────────────────────────────────────────────────
+
+function showStep(index) {
+    _step = Math.max(0, Math.min(index, STEPS.length - 1));
+    const step = STEPS[_step];
+
+    for (const $step of $modal.querySelectorAll('.sa-wizard-step')) {
+        $step.style.display = $step.dataset.step === step ? '' : 'none';
+    }
+    document.getElementById('sa-wiz-step-title').textContent = `Step ${_step + 1} of ${STEPS.length}`;
+    document.getElementById('sa-wiz-back').disabled = _step === 0;
+    document.getElementById('sa-wiz-next').textContent = step === 'review' ? 'Create' : 'Next';
+    document.getElementById('sa-wiz-errors').replaceChildren();
+
+    updateVisibility();
+    if (step === 'review') renderReview();
+}
+
+function onNext() {
+    const step = STEPS[_step];
+    if (step === 'review') {
+        const problems = reviewProblems();
+        close({
+            name:   document.getElementById('sa-wiz-name').value.trim(),
+            config: readForm(),
+            start:  problems.length === 0 && document.getElementById('sa-wiz-start').checked,
+        });
+        return;
+    }
+
+    const errors = stepProblems(step);
+    if (errors.length) {
+        document.getElementById('sa-wiz-errors').replaceChildren(...errors.map(message => {
+            const $li = document.createElement('li');
+            $li.className   = 'sa-cron-error';
+            $li.textContent = message;
+            return $li;
+        }));
+        return;
+    }
+    showStep(_step + 1);
+}
+
+/** @returns {string[]} what keeps the user on this step */
+function stepProblems(step) {
+    if (step === 'basics') {
+        return document.getElementById('sa-wiz-name').value.trim() ? [] : ['Give the subroutine a name.'];
+    }
+    const keys = STEP_KEYS[step] ?? [];
+    return validateSubroutineConfig(fullConfig())
+        .filter(p => keys.includes(p.key))
+        .map(p => p.message);
+}
+
+// ─── review ──────────────────────────────────────────────────────────────────
+
+function reviewProblems() {
+    return [...checkEnvironment(), ...validateSubroutineConfig(fullConfig()).map(p => p.message)];
+}
+
+function renderReview() {
+    const config = fullConfig();
+
+    const rows = [
+        ['Name',      document.getElementById('sa-wiz-name').value.trim()],
+        ['Trigger',   describeTrigger(config)],
+        ['Heartbeat', config.heartbeatMessage],
+        ['Auto-queue', config.autoQueue ? `on, up to ${config.autoQueueMaxContinuations} continuations` : 'off'],
+        ['Context',   [config.useLorebooks && 'lorebooks', config.useExampleMessages && 'example messages',
+            config.useSummary && 'summariser'].filter(Boolean).join(', ') || 'chat only'],
+    ];
+    document.getElementById('sa-wiz-summary').replaceChildren(...rows.map(([label, value]) => {
+        const $li = document.createElement('li');
+        const $b  = document.createElement('b');
+        $b.textContent = `${label}: `;
+        $li.append($b, value);
+        return $li;
+    }));
+
+    const problems  = reviewProblems();
+    const $problems = document.getElementById('sa-wiz-review-problems');
+    $problems.replaceChildren(...problems.map(message => {
+        const $line = document.createElement('div');
+        $line.textContent = message;
+        return $line;
+    }));
+    if (problems.length) {
+        const $hint = document.createElement('div');
+        $hint.textContent = 'It will be created stopped. Fix these, then start it from the settings panel.';
+        $problems.append($hint);
+    }
+    $problems.style.display = problems.length ? '' : 'none';
+
+    const $start = document.getElementById('sa-wiz-start');
+    $start.disabled = problems.length > 0;
+    $start.checked  = problems.length === 0;
+}
+
+function describeTrigger(config) {
+    switch (config.triggerType) {
+        case 'time':       return `every ${config.intervalSeconds} s`;
+        case 'cron':       return `cron "${config.cronExpression}"${config.cronTimezone ? ` (${config.cronTimezone})` : ''}`;
+        case 'tool':       return `poll ${config.toolName || '(no tool)'} every ${config.intervalSeconds} s`;
+        case 'api':        return config.apiMode === 'poll'
+            ? `poll ${config.apiUrl || '(no URL)'} every ${config.intervalSeconds} s`
+            : `${config.apiMode} ${config.apiUrl || '(no URL)'}`;
+        default:           return TRIGGER_LABELS[config.triggerType] ?? config.triggerType;
+    }
+}
+
+// ─── form ↔ config ───────────────────────────────────────────────────────────
+
+function fieldsFor(key) {
+    return $modal.querySelectorAll(`[data-key="${key}"]`);
+}
+
+function populate(config) {
+    for (const el of $modal.querySelectorAll('[data-key]')) {
+        const value = config[el.dataset.key];
+        if (el.type === 'checkbox') el.checked = !!value;
+        else el.value = value ?? '';
+    }
+}
+
+/** @returns {Partial<SubroutineConfig>} the fields the wizard shows */
+function readForm() {
+    const config = {};
+    for (const el of $modal.querySelectorAll('[data-key]')) {
+        const key = el.dataset.key;
+        if (key in config) continue; // duplicated trigger inputs hold the same value
+        if (el.type === 'checkbox')    config[key] = el.checked;
+        else if (el.type === 'number') config[key] = Number(el.value);
+        else                           config[key] = el.value;
+    }
+    return config;
+}
+
+function fullConfig() {
+    return { ...defaultSubroutineConfig(), ...readForm() };
+}
+
+function updateVisibility() {
+    const config = readForm();
+    for (const el of $modal.querySelectorAll('[data-trigger]')) {
+        el.style.display = el.dataset.trigger === config.triggerType ? '' : 'none';
+    }
+    // Push modes are woken by the server, not an interval — as in the panel.
+    document.getElementById('sa-wiz-api-poll-fields').style.display = config.apiMode === 'poll' ? '' : 'none';
+    document.getElementById('sa-wiz-autoqueue-fields').style.display = config.autoQueue ? '' : 'none';
+}